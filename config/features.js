@@ -0,0 +1,50 @@
+// Subscription features. Plans and subscriptions store the keys; routes are
+// gated on them with requireFeature. Names are what customers see.
+const FEATURES = {
+  pdf_access: {
+    name: 'Access to PDF books',
+    description: 'Read and download every PDF in the catalog'
+  },
+  support_basic: {
+    name: 'Basic customer support',
+    description: 'Email support'
+  },
+  support_priority: {
+    name: 'Priority customer support',
+    description: 'Faster responses from the support team'
+  },
+  support_premium: {
+    name: 'Premium customer support',
+    description: 'Dedicated support with the fastest response times'
+  },
+  mobile_app: {
+    name: 'Mobile app access',
+    description: 'Use the mobile apps'
+  },
+  offline_reading: {
+    name: 'Offline reading',
+    description: 'Download books to read without a connection'
+  },
+  bookmarks_notes: {
+    name: 'Bookmarks & notes',
+    description: 'Save bookmarks and notes while reading'
+  },
+  exclusive_content: {
+    name: 'Exclusive content',
+    description: 'Titles only available to subscribers'
+  },
+  early_access: {
+    name: 'Early access to new releases',
+    description: 'Read new releases before they go on sale'
+  }
+};
+
+const FEATURE_KEYS = Object.keys(FEATURES);
+
+// Feature key for a display name, for data saved before features had keys
+const featureKeyForName = (name) => FEATURE_KEYS.find(key => FEATURES[key].name === name);
+
+// Display name for a feature key, or the value itself if it isn't a known key
+const featureName = (key) => (FEATURES[key] ? FEATURES[key].name : key);
+
+module.exports = { FEATURES, FEATURE_KEYS, featureKeyForName, featureName };
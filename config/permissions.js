@@ -0,0 +1,80 @@
+// Admin permissions. Roles grant sets of them and users can have individual
+// permissions granted or revoked on top of their role.
+const PERMISSIONS = {
+  view_dashboard: {
+    displayName: 'View Dashboard',
+    description: 'Access to admin dashboard overview'
+  },
+  manage_books: {
+    displayName: 'Manage Books',
+    description: 'Create, edit, and delete books'
+  },
+  manage_orders: {
+    displayName: 'Manage Orders',
+    description: 'View and update order status'
+  },
+  manage_users: {
+    displayName: 'Manage Users',
+    description: 'View and manage customer accounts'
+  },
+  view_analytics: {
+    displayName: 'View Analytics',
+    description: 'Access to sales and analytics data'
+  },
+  manage_settings: {
+    displayName: 'Manage Settings',
+    description: 'System configuration access'
+  },
+  export_data: {
+    displayName: 'Export Data',
+    description: 'Export system data and reports'
+  },
+  manage_permissions: {
+    displayName: 'Manage Permissions',
+    description: 'Manage user roles and permissions'
+  },
+  moderate_reviews: {
+    displayName: 'Moderate Reviews',
+    description: 'Review reported book reviews and hide or restore them'
+  }
+};
+
+const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+// The administrator role always has every permission
+const ADMIN_ROLE = 'admin';
+
+// Roles the application relies on. They are seeded on startup and can't be
+// deleted; their keys and staff flag can't change.
+const BUILT_IN_ROLES = [
+  {
+    key: 'admin',
+    name: 'Administrator',
+    description: 'Full system access',
+    isStaff: true,
+    permissions: PERMISSION_KEYS
+  },
+  {
+    key: 'manager',
+    name: 'Manager',
+    description: 'Management access to books, orders, and analytics',
+    isStaff: true,
+    permissions: ['view_dashboard', 'manage_books', 'manage_orders', 'view_analytics', 'export_data', 'moderate_reviews']
+  },
+  {
+    key: 'staff',
+    name: 'Staff',
+    description: 'Basic access to books and orders',
+    isStaff: true,
+    permissions: ['view_dashboard', 'manage_books', 'manage_orders', 'moderate_reviews']
+  },
+  {
+    key: 'user',
+    name: 'Customer',
+    description: 'Customer account',
+    isStaff: false,
+    permissions: []
+  }
+];
+
+module.exports = { PERMISSIONS, PERMISSION_KEYS, ADMIN_ROLE, BUILT_IN_ROLES };
@@ -3,11 +3,13 @@ const bcrypt = require('bcryptjs');
 require('dotenv').config();
 
 const User = require('./models/User');
+const Role = require('./models/Role');
 
 async function createAdmin() {
   try {
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('Connected to MongoDB');
+    await Role.seedDefaults();
 
     // Check if admin already exists
     const existingAdmin = await User.findOne({ email: 'admin@bookstore.com' });
@@ -23,17 +25,7 @@ async function createAdmin() {
       name: 'Admin User',
       email: 'admin@bookstore.com',
       password: 'admin123', // This will be hashed by the pre-save hook
-      role: 'admin',
-      permissions: [
-        'view_dashboard',
-        'manage_books',
-        'manage_orders',
-        'manage_users',
-        'view_analytics',
-        'manage_settings',
-        'manage_permissions',
-        'export_data',
-      ]
+      role: 'admin'
     });
 
     await adminUser.save();
@@ -0,0 +1,236 @@
+const Plan = require('../models/Plan');
+const Subscription = require('../models/Subscription');
+const {
+  chargeSubscriptionRenewal,
+  requestRenewalPayment,
+  supportsAutomaticRenewal
+} = require('../services/paymentService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOCK_MS = 5 * 60 * 1000;
+
+const config = () => ({
+  graceDays: parseInt(process.env.SUBSCRIPTION_GRACE_DAYS) || 3,
+  retryHours: parseInt(process.env.SUBSCRIPTION_RENEWAL_RETRY_HOURS) || 24,
+  batchSize: parseInt(process.env.SUBSCRIPTION_JOB_BATCH_SIZE) || 100
+});
+
+// Claim a subscription so concurrent runs (several instances, or the CLI
+// alongside the server) don't renew it twice
+const claim = (subscription, now) => Subscription.findOneAndUpdate(
+  {
+    _id: subscription._id,
+    status: 'active',
+    $or: [
+      { 'renewal.lockedUntil': { $exists: false } },
+      { 'renewal.lockedUntil': null },
+      { 'renewal.lockedUntil': { $lte: now } }
+    ]
+  },
+  { 'renewal.lockedUntil': new Date(now.getTime() + LOCK_MS) },
+  { new: true }
+);
+
+const expire = async (subscription, now, reason) => {
+  subscription.status = 'expired';
+  subscription.autoRenew = false;
+  subscription.renewal.lockedUntil = undefined;
+  if (reason) {
+    subscription.renewal.lastError = reason;
+  }
+  // A subscription that ran out its grace period ends when the paid period did
+  if (subscription.renewal.periodEnd) {
+    subscription.endDate = subscription.renewal.periodEnd;
+  }
+  await subscription.save();
+  return 'expired';
+};
+
+// Start the grace period: access continues past the end of the paid period
+// while renewal is retried or a charge is confirmed
+const startGrace = (subscription, graceDays) => {
+  const renewal = subscription.renewal;
+  if (!renewal.periodEnd) {
+    renewal.periodEnd = subscription.endDate;
+    renewal.graceEndsAt = new Date(subscription.endDate.getTime() + graceDays * DAY_MS);
+  }
+};
+
+// Record a failed renewal and schedule a retry, keeping the subscription
+// active until the grace period runs out
+const scheduleRetry = async (subscription, now, error, { graceDays, retryHours }) => {
+  const renewal = subscription.renewal;
+  startGrace(subscription, graceDays);
+
+  const nextAttemptAt = new Date(now.getTime() + retryHours * 60 * 60 * 1000);
+  if (nextAttemptAt >= renewal.graceEndsAt) {
+    return expire(subscription, now, error.message);
+  }
+
+  renewal.attempts += 1;
+  renewal.lastAttemptAt = now;
+  renewal.lastError = error.message;
+  renewal.nextAttemptAt = nextAttemptAt;
+  renewal.lockedUntil = undefined;
+  subscription.endDate = renewal.graceEndsAt;
+  await subscription.save();
+  return 'retry';
+};
+
+// Create the next period and charge for it. On success the current period
+// is closed and the new one takes over from the end of the paid period.
+// While a charge is pending the current period stays active in grace; the
+// payment webhook then activates the new period and closes this one.
+// Providers that can't charge off-session get a payment the customer is
+// emailed to complete, which stays pending the same way; so does a scheduled
+// downgrade with auto-renew off, which isn't charged without asking.
+// Subscribers to archived plans keep renewing on them; a scheduled downgrade
+// switches the plan here.
+const renew = async (subscription, now, options) => {
+  const change = subscription.scheduledPlanChange();
+  const plan = (change && await Plan.findOne({ key: change.toPlan }))
+    || await Plan.findOne({ key: subscription.plan });
+  if (!plan) {
+    return expire(subscription, now, `Plan "${subscription.plan}" is no longer available`);
+  }
+
+  const periodEnd = subscription.renewal.periodEnd || subscription.endDate;
+  const next = new Subscription({
+    user: subscription.user,
+    plan: plan.key,
+    planName: plan.name,
+    price: plan.price,
+    features: plan.features,
+    billingInterval: plan.interval,
+    status: 'pending',
+    startDate: periodEnd,
+    endDate: plan.periodEnd(periodEnd),
+    autoRenew: subscription.autoRenew,
+    renewedFrom: subscription._id
+  });
+  await next.save();
+
+  let charge;
+  try {
+    charge = subscription.autoRenew && supportsAutomaticRenewal()
+      ? await chargeSubscriptionRenewal(next)
+      : await requestRenewalPayment(next);
+  } catch (error) {
+    charge = { status: 'failed', error };
+  }
+
+  if (charge.status === 'failed') {
+    await Subscription.deleteOne({ _id: next._id });
+    return scheduleRetry(subscription, now, charge.error || new Error('Renewal payment declined'), options);
+  }
+
+  next.paymentId = charge.paymentId;
+  if (charge.status === 'succeeded') {
+    next.status = 'active';
+  }
+  await next.save();
+
+  if (charge.status === 'pending') {
+    startGrace(subscription, options.graceDays);
+    subscription.endDate = subscription.renewal.graceEndsAt;
+    subscription.renewal.attempts += 1;
+    subscription.renewal.lastAttemptAt = now;
+    subscription.renewal.lastError = undefined;
+    subscription.renewal.nextAttemptAt = undefined;
+    subscription.renewal.lockedUntil = undefined;
+    await subscription.save();
+    return 'pending';
+  }
+
+  subscription.status = 'expired';
+  subscription.autoRenew = false;
+  subscription.endDate = periodEnd;
+  subscription.renewal.attempts += 1;
+  subscription.renewal.lastAttemptAt = now;
+  subscription.renewal.lastError = undefined;
+  subscription.renewal.nextAttemptAt = undefined;
+  subscription.renewal.lockedUntil = undefined;
+  if (change && change.toPlan === plan.key) {
+    change.status = 'applied';
+    change.effectiveAt = periodEnd;
+  }
+  await subscription.save();
+
+  return 'renewed';
+};
+
+// Process one batch of lapsed subscriptions: expire those that don't renew,
+// renew those that do, and retry renewals that failed earlier
+const runSubscriptionLifecycle = async ({ now = new Date() } = {}) => {
+  const options = config();
+  const summary = { expired: 0, renewed: 0, pending: 0, retry: 0, failed: 0 };
+
+  // Non-renewing subscriptions simply lapse, unless a downgrade is scheduled:
+  // the customer asked to move to that plan, so it is renewed onto
+  const expired = await Subscription.updateMany(
+    {
+      status: 'active',
+      autoRenew: { $ne: true },
+      'planChanges.status': { $ne: 'scheduled' },
+      endDate: { $lte: now }
+    },
+    { status: 'expired', updatedAt: now }
+  );
+  summary.expired += expired.modifiedCount;
+
+  const due = await Subscription.find({
+    status: 'active',
+    $and: [
+      { $or: [{ autoRenew: true }, { 'planChanges.status': 'scheduled' }] },
+      { $or: [{ endDate: { $lte: now } }, { 'renewal.nextAttemptAt': { $lte: now } }] }
+    ]
+  }).sort({ endDate: 1 }).limit(options.batchSize);
+
+  for (const candidate of due) {
+    const subscription = await claim(candidate, now);
+    if (!subscription) continue;
+
+    try {
+      // Grace period used up without a successful renewal
+      if (subscription.renewal.graceEndsAt && subscription.renewal.graceEndsAt <= now) {
+        await expire(subscription, now, subscription.renewal.lastError);
+        summary.expired += 1;
+        continue;
+      }
+
+      const result = await renew(subscription, now, options);
+      summary[result] += 1;
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`Subscription ${subscription._id} lifecycle error:`, error.message);
+      await Subscription.updateOne({ _id: subscription._id }, { $unset: { 'renewal.lockedUntil': 1 } });
+    }
+  }
+
+  return summary;
+};
+
+// Run the lifecycle job on an interval inside the server process
+const startSubscriptionScheduler = ({
+  intervalMinutes = parseInt(process.env.SUBSCRIPTION_JOB_INTERVAL_MINUTES) || 60
+} = {}) => {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await runSubscriptionLifecycle();
+      console.log('Subscription lifecycle run:', summary);
+    } catch (error) {
+      console.error('Subscription lifecycle run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { runSubscriptionLifecycle, startSubscriptionScheduler };
@@ -1,5 +1,7 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { verifyAccessToken, isTokenCurrent } = require('../services/tokenService');
+const { isTwoFactorRequired } = require('../services/twoFactorService');
+const { getRole, resolvePermissions } = require('../services/roleService');
 
 const adminAuth = async (req, res, next) => {
   try {
@@ -9,56 +11,47 @@ const adminAuth = async (req, res, next) => {
       return res.status(401).json({ message: 'Access denied. No token provided.' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
     const user = await User.findById(decoded.userId);
     
-    if (!user) {
+    if (!user || !isTokenCurrent(decoded, user)) {
       return res.status(401).json({ message: 'Invalid token.' });
     }
     
-    if (!['admin', 'manager', 'staff'].includes(user.role)) {
+    if (user.isActive === false) {
+      return res.status(403).json({ message: 'Account is deactivated.' });
+    }
+    
+    const role = await getRole(user.role);
+    if (!role || !role.isStaff) {
       return res.status(403).json({ message: 'Access denied. Admin role required.' });
     }
+
+    if ((await isTwoFactorRequired(user, role)) && !user.twoFactor?.enabled) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be enabled to use the admin API.',
+        code: 'two_factor_setup_required'
+      });
+    }
     
     req.user = user;
+    req.permissions = await resolvePermissions(user, role);
     next();
   } catch (error) {
     res.status(401).json({ message: 'Invalid token.' });
   }
 };
 
-// Permission-based middleware
+// Permission-based middleware. Use after adminAuth, which resolves the
+// user's permissions from their role and overrides.
 const requirePermission = (permission) => {
-  return async (req, res, next) => {
-    try {
-      const user = req.user;
-      
-      // Admin has all permissions
-      if (user.role === 'admin') {
-        return next();
-      }
-      
-      // Check if user has the required permission
-      // Handle backward compatibility - if permissions array doesn't exist, grant access for existing admin users
-      if (!user.permissions || !Array.isArray(user.permissions)) {
-        if (user.role === 'admin') {
-          return next(); // Grant access to existing admin users without permissions array
-        }
-        return res.status(403).json({ 
-          message: `Access denied. Required permission: ${permission}` 
-        });
-      }
-      
-      if (!user.permissions.includes(permission)) {
-        return res.status(403).json({ 
-          message: `Access denied. Required permission: ${permission}` 
-        });
-      }
-      
-      next();
-    } catch (error) {
-      res.status(500).json({ message: 'Permission check failed.' });
+  return (req, res, next) => {
+    if (!req.permissions || !req.permissions.includes(permission)) {
+      return res.status(403).json({ 
+        message: `Access denied. Required permission: ${permission}` 
+      });
     }
+    next();
   };
 };
 
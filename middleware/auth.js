@@ -1,5 +1,5 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { verifyAccessToken, isTokenCurrent } = require('../services/tokenService');
 
 const auth = async (req, res, next) => {
   try {
@@ -9,10 +9,10 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Access denied. No token provided.' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
     const user = await User.findById(decoded.userId);
     
-    if (!user) {
+    if (!user || !isTokenCurrent(decoded, user)) {
       return res.status(401).json({ message: 'Invalid token.' });
     }
     
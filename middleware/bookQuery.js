@@ -0,0 +1,31 @@
+const { query, validationResult } = require('express-validator');
+const { SORT_OPTIONS } = require('../services/bookSearchService');
+
+// Validate and convert the query string of a books listing. Both the public
+// and the admin listings use it so they accept the same options.
+const validateBookQuery = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer').toInt(),
+  query('cursor').optional().isString(),
+  query('sort').optional().isIn(SORT_OPTIONS).withMessage(`Sort must be one of: ${SORT_OPTIONS.join(', ')}`),
+  query('search').optional().isString(),
+  query('category').optional().isString(),
+  query('author').optional().isString(),
+  query('publisher').optional().isString(),
+  query('minPrice').optional().isFloat({ min: 0 }).withMessage('minPrice must be a non-negative number').toFloat(),
+  query('maxPrice').optional().isFloat({ min: 0 }).withMessage('maxPrice must be a non-negative number').toFloat(),
+  query('minRating').optional().isFloat({ min: 1, max: 5 }).withMessage('minRating must be from 1 to 5').toFloat(),
+  query('inStock').optional().isBoolean().withMessage('inStock must be true or false').toBoolean(),
+  query('hasPdf').optional().isBoolean().withMessage('hasPdf must be true or false').toBoolean(),
+  query('publishedFrom').optional().isISO8601().withMessage('publishedFrom must be a date').toDate(),
+  query('publishedTo').optional().isISO8601().withMessage('publishedTo must be a date').toDate(),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
+module.exports = validateBookQuery;
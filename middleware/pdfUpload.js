@@ -0,0 +1,45 @@
+const multer = require('multer');
+const os = require('os');
+const path = require('path');
+
+// Uploads land in the OS temp directory and are handed to the storage
+// service from there
+const storage = multer.diskStorage({
+  destination: os.tmpdir(),
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const fileFilter = (req, file, cb) => {
+  if (file.mimetype === 'application/pdf') {
+    cb(null, true);
+  } else {
+    cb(new Error('Only PDF files are allowed'), false);
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 50 * 1024 * 1024 // 50MB limit
+  }
+});
+
+// Accept a single PDF in the `pdf` field, answering upload errors with a 400
+const pdfUpload = (req, res, next) => {
+  upload.single('pdf')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE' ? 'PDF must be 50MB or smaller' : err.message;
+      return res.status(400).json({ message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: 'PDF file is required' });
+    }
+    next();
+  });
+};
+
+module.exports = pdfUpload;
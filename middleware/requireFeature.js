@@ -0,0 +1,57 @@
+const Plan = require('../models/Plan');
+const { FEATURES, featureName } = require('../config/features');
+const { findActiveSubscription } = require('../services/subscriptionService');
+
+// Resolve the caller's active subscription once per request. Use after auth.
+const loadSubscription = async (req) => {
+  if (req.subscription === undefined) {
+    req.subscription = await findActiveSubscription(req.user._id);
+  }
+  return req.subscription;
+};
+
+// Require an active subscription whose plan includes a feature. Callers
+// without a subscription get 402; subscribers on a plan without the feature
+// get 403. Both responses name the plans that unlock it.
+const requireFeature = (featureKey) => {
+  if (!FEATURES[featureKey]) {
+    throw new Error(`Unknown feature: ${featureKey}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const subscription = await loadSubscription(req);
+      if (subscription && subscription.hasFeature(featureKey)) {
+        return next();
+      }
+
+      const plans = await Plan.find({ status: 'active', features: featureKey })
+        .sort({ price: 1 })
+        .select('key name price interval');
+      const feature = { key: featureKey, name: featureName(featureKey) };
+
+      if (!subscription) {
+        return res.status(402).json({
+          message: `A subscription is required for ${feature.name}`,
+          code: 'subscription_required',
+          feature,
+          requiredPlan: plans[0] || null,
+          plans
+        });
+      }
+
+      res.status(403).json({
+        message: `Your ${subscription.planName} does not include ${feature.name}`,
+        code: 'feature_not_in_plan',
+        feature,
+        currentPlan: subscription.plan,
+        requiredPlan: plans[0] || null,
+        plans
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Feature check failed.' });
+    }
+  };
+};
+
+module.exports = { requireFeature, loadSubscription };
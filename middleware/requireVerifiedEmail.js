@@ -0,0 +1,31 @@
+const VERIFIABLE_ACTIONS = ['checkout', 'subscribe', 'pdf_download'];
+
+// Actions that need a verified email, from REQUIRE_VERIFIED_EMAIL_FOR (a
+// comma-separated list; "none" turns the check off). Defaults to all.
+const actionsRequiringVerification = () => {
+  const setting = process.env.REQUIRE_VERIFIED_EMAIL_FOR;
+  if (setting === undefined) {
+    return VERIFIABLE_ACTIONS;
+  }
+  return setting.split(',').map(action => action.trim()).filter(Boolean);
+};
+
+// Reject users with an unconfirmed email from an action, if it's configured
+// to need one. Use after auth.
+const requireVerifiedEmail = (action) => {
+  if (!VERIFIABLE_ACTIONS.includes(action)) {
+    throw new Error(`Unknown verifiable action: ${action}`);
+  }
+
+  return (req, res, next) => {
+    if (!actionsRequiringVerification().includes(action) || req.user.isEmailVerified()) {
+      return next();
+    }
+    res.status(403).json({
+      message: 'Please verify your email address to continue.',
+      code: 'email_not_verified'
+    });
+  };
+};
+
+module.exports = { requireVerifiedEmail, VERIFIABLE_ACTIONS };
@@ -1,41 +1,40 @@
 const mongoose = require('mongoose');
 const User = require('./models/User');
+const Role = require('./models/Role');
+const { ADMIN_ROLE } = require('./config/permissions');
+const { overridesFor } = require('./services/roleService');
 require('dotenv').config();
 
+// Users used to store their full permission list. Permissions now come from
+// their role, so convert each stored list to grants and revocations on top
+// of the role. Safe to run more than once.
 async function migrateAdminPermissions() {
   try {
     // Connect to MongoDB
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('Connected to MongoDB');
 
-    // Find all admin users without permissions or with empty permissions
-    const adminUsers = await User.find({
-      role: 'admin',
-      $or: [
-        { permissions: { $exists: false } },
-        { permissions: { $size: 0 } },
-        { permissions: null }
-      ]
-    });
-
-    console.log(`Found ${adminUsers.length} admin users to update`);
-
-    // Update each admin user with full permissions
-    const fullPermissions = [
-      'view_dashboard',
-      'manage_books',
-      'manage_orders',
-      'manage_users',
-      'view_analytics',
-      'manage_settings',
-      'export_data',
-      'manage_permissions'
-    ];
-
-    for (const user of adminUsers) {
-      user.permissions = fullPermissions;
-      await user.save();
-      console.log(`Updated permissions for admin user: ${user.email}`);
+    await Role.seedDefaults();
+
+    const users = await User.find({ 'permissions.0': { $exists: true } });
+    console.log(`Found ${users.length} users with stored permission lists`);
+
+    for (const user of users) {
+      const role = await Role.findOne({ key: user.role });
+      if (!role) {
+        console.log(`Skipping ${user.email}: unknown role ${user.role}`);
+        continue;
+      }
+
+      const overrides = user.role === ADMIN_ROLE
+        ? { grantedPermissions: [], revokedPermissions: [] }
+        : overridesFor(role, user.permissions);
+
+      await User.updateOne({ _id: user._id }, {
+        $set: overrides,
+        $unset: { permissions: 1 }
+      });
+      console.log(`Migrated permissions for ${user.email} (${user.role})`, overrides);
     }
 
     console.log('Migration completed successfully!');
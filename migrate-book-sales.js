@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Book = require('./models/Book');
+const Order = require('./models/Order');
+require('dotenv').config();
+
+// Fill in Book.salesCount from paid orders placed before it was tracked
+async function migrateBookSales() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const sales = await Order.aggregate([
+      { $match: { paymentStatus: 'paid' } },
+      { $unwind: '$items' },
+      { $group: { _id: '$items.book', sold: { $sum: '$items.quantity' } } }
+    ]);
+
+    await Book.updateMany({}, { $set: { salesCount: 0 } });
+    for (const { _id, sold } of sales) {
+      await Book.updateOne({ _id }, { $set: { salesCount: sold } });
+    }
+
+    console.log(`Updated sales counts for ${sales.length} books`);
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    console.error('Migration error:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+migrateBookSales();
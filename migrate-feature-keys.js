@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const Plan = require('./models/Plan');
+const Subscription = require('./models/Subscription');
+const { featureKeyForName } = require('./config/features');
+require('dotenv').config();
+
+// Replace feature display names with feature keys
+const toKeys = (features) => features.map(feature => featureKeyForName(feature) || feature);
+
+async function migrateFeatureKeys() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const plans = await Plan.collection.find({}).toArray();
+    for (const plan of plans) {
+      await Plan.collection.updateOne({ _id: plan._id }, { $set: { features: toKeys(plan.features || []) } });
+      console.log(`Updated features for plan: ${plan.key}`);
+    }
+
+    const subscriptions = await Subscription.find().select('features');
+    let updated = 0;
+    for (const subscription of subscriptions) {
+      const features = toKeys(subscription.features);
+      if (features.some((feature, i) => feature !== subscription.features[i])) {
+        await Subscription.updateOne({ _id: subscription._id }, { $set: { features } });
+        updated++;
+      }
+    }
+    console.log(`Updated features for ${updated} subscriptions`);
+
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration error:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+migrateFeatureKeys();
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Book = require('./models/Book');
+const { attachPdf } = require('./services/bookPdfService');
+require('dotenv').config();
+
+// PDFs used to be written into the frontend's public folder and linked
+// directly through pdfUrl. Import each of those files into the configured
+// storage backend so it is served like an uploaded PDF. The original files
+// are left in place; books that already have a pdfKey are skipped, so it is
+// safe to run more than once.
+async function migratePdfStorage() {
+  const legacyDir = path.resolve(process.env.LEGACY_PDF_DIR || '../bookstore-frontend/public/pdfs');
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const books = await Book.find({
+      hasPdf: true,
+      pdfUrl: { $exists: true, $ne: '' },
+      pdfKey: { $exists: false }
+    });
+    console.log(`Found ${books.length} books with PDFs outside storage`);
+
+    let imported = 0;
+    for (const book of books) {
+      const fileName = path.basename(book.pdfUrl.split('?')[0]);
+      const source = path.join(legacyDir, fileName);
+      if (!fs.existsSync(source)) {
+        console.log(`Skipping "${book.title}": ${source} not found`);
+        continue;
+      }
+
+      // Storage moves the file it is given, so hand it a copy
+      const copy = path.join(os.tmpdir(), `legacy-${book._id}-${fileName}`);
+      try {
+        await fs.promises.copyFile(source, copy);
+        const { size } = await fs.promises.stat(copy);
+        await attachPdf(book, { path: copy, size, originalname: fileName });
+        imported += 1;
+        console.log(`Imported ${fileName} for "${book.title}" as ${book.pdfKey}`);
+      } catch (error) {
+        console.error(`Failed to import ${fileName} for "${book.title}":`, error.message);
+      } finally {
+        await fs.promises.unlink(copy).catch(() => {});
+      }
+    }
+
+    console.log(`Imported ${imported} of ${books.length} PDFs`);
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    console.error('Migration error:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+migratePdfStorage();
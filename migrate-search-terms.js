@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const Book = require('./models/Book');
+const SearchTerm = require('./models/SearchTerm');
+const { vocabularyOf } = require('./services/bookSearchService');
+require('dotenv').config();
+
+// Rebuild the search vocabulary used to correct typos from the current catalog
+async function migrateSearchTerms() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const counts = new Map();
+    const books = Book.find({}, 'title author publisher category').lean().cursor();
+    for await (const book of books) {
+      vocabularyOf(book).forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+    }
+
+    await SearchTerm.deleteMany({});
+    const terms = [...counts].map(([word, count]) => ({ word, initial: word[0], length: word.length, books: count }));
+    for (let i = 0; i < terms.length; i += 1000) {
+      await SearchTerm.insertMany(terms.slice(i, i + 1000), { ordered: false });
+    }
+
+    console.log(`Recorded ${terms.length} search terms`);
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    console.error('Migration error:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+migrateSearchTerms();
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const Book = require('./models/Book');
+const StockMovement = require('./models/StockMovement');
+require('dotenv').config();
+
+// Give every book with stock but no ledger history an opening adjustment, so
+// the movements for a book always add up to its stock
+async function migrateStockLedger() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const tracked = await StockMovement.distinct('book');
+    const books = await Book.find({ _id: { $nin: tracked }, stock: { $gt: 0 } }).select('stock');
+
+    for (const book of books) {
+      await StockMovement.create({
+        book: book._id,
+        type: 'adjustment',
+        quantity: book.stock,
+        stockAfter: book.stock,
+        reason: 'Opening balance'
+      });
+    }
+
+    console.log(`Recorded opening balances for ${books.length} books`);
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    console.error('Migration error:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+migrateStockLedger();
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Record of an administrative change. Entries are append-only: the model
+// refuses updates and deletes.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copied so the entry still reads correctly if the actor changes or is deleted
+  actorEmail: {
+    type: String
+  },
+  actorRole: {
+    type: String
+  },
+  // Dotted name such as order.status_changed or user.role_changed
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: String
+  },
+  // Fields that changed, by dotted path. Sensitive values are redacted.
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const appendOnly = function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return appendOnly(next);
+  }
+  next();
+});
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], appendOnly);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -37,6 +37,12 @@ const bookSchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  // Report the book as low on stock at or below this many copies. Unset
+  // means LOW_STOCK_THRESHOLD applies.
+  reorderThreshold: {
+    type: Number,
+    min: 0
+  },
   imageUrl: {
     type: String,
     trim: true
@@ -57,6 +63,16 @@ const bookSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Location of the file in the configured storage backend
+  pdfKey: {
+    type: String
+  },
+  pdfSize: {
+    type: Number
+  },
+  pdfOriginalName: {
+    type: String
+  },
   pdfPrice: {
     type: Number,
     min: 0
@@ -64,9 +80,43 @@ const bookSchema = new mongoose.Schema({
   allowPdfPurchase: {
     type: Boolean,
     default: false
+  },
+  // Only listed for subscribers whose plan includes exclusive_content
+  exclusive: {
+    type: Boolean,
+    default: false
+  },
+  // Copies sold in paid orders, for the bestselling sort
+  salesCount: {
+    type: Number,
+    default: 0
+  },
+  // Kept in step with published reviews by reviewService
+  averageRating: {
+    type: Number,
+    default: 0
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
 });
 
+// Catalog search: title matches count most, then author, then description
+bookSchema.index(
+  { title: 'text', author: 'text', description: 'text' },
+  { name: 'book_text_search', weights: { title: 10, author: 5, description: 1 } }
+);
+
+// Listing sorts, each with the _id tiebreak cursors page on, and the
+// published date filter
+bookSchema.index({ createdAt: -1, _id: -1 });
+bookSchema.index({ price: 1, _id: 1 });
+bookSchema.index({ title: 1, _id: 1 });
+bookSchema.index({ salesCount: -1, _id: -1 });
+bookSchema.index({ averageRating: -1, _id: -1 });
+bookSchema.index({ publishedDate: 1 });
+
 module.exports = mongoose.model('Book', bookSchema);
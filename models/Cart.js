@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [{
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    // Price shown to the user when the item was added, used to flag changes
+    priceAtAdd: {
+      type: Number,
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Find a user's cart, creating an empty one on first use. The upsert means
+// concurrent first requests share one cart instead of racing to create it.
+cartSchema.statics.forUser = function(userId) {
+  return this.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, items: [] } },
+    { upsert: true, new: true }
+  );
+};
+
+// Find the cart line for a book
+cartSchema.methods.findItem = function(bookId) {
+  return this.items.find(item => item.book.toString() === bookId.toString());
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
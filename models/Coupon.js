@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Upper bound for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  appliesTo: {
+    type: String,
+    enum: ['order', 'subscription', 'both'],
+    default: 'order'
+  },
+  minOrderAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  startsAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  // Total redemptions allowed across all users; unlimited when unset
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Empty lists mean no restriction
+  categories: [{
+    type: String,
+    trim: true
+  }],
+  books: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book'
+  }],
+  plans: [{
+    type: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Discount for an eligible amount, never more than the amount itself
+couponSchema.methods.discountFor = function(amount) {
+  let discount = this.discountType === 'percentage'
+    ? amount * this.discountValue / 100
+    : this.discountValue;
+
+  if (this.discountType === 'percentage' && this.maxDiscount !== undefined && this.maxDiscount !== null) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+  return Math.round(Math.min(discount, amount) * 100) / 100;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// How many times a user has redeemed a coupon. Redeeming only increments this
+// while it's under the coupon's per-user limit, so concurrent checkouts can't
+// exceed it.
+const couponUsageSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+});
+
+couponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponUsage', couponUsageSchema);
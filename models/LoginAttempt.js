@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Failed login counter for an account or IP address, used by the Mongo
+// login throttle store so counts are shared between instances
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  firstAttemptAt: {
+    type: Date,
+    required: true
+  },
+  lockedUntil: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB remove counters once they no longer matter
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
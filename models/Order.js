@@ -12,6 +12,12 @@ const orderSchema = new mongoose.Schema({
       ref: 'Book',
       required: true
     },
+    // 'pdf' lines are the digital edition: no stock, no shipping
+    format: {
+      type: String,
+      enum: ['print', 'pdf'],
+      default: 'print'
+    },
     quantity: {
       type: Number,
       required: true,
@@ -22,6 +28,23 @@ const orderSchema = new mongoose.Schema({
       required: true
     }
   }],
+  // Sum of the item lines before discounts
+  subtotal: {
+    type: Number
+  },
+  // Coupon applied at checkout
+  discount: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    amount: {
+      type: Number,
+      min: 0
+    }
+  },
+  // Amount charged: subtotal minus discount
   totalAmount: {
     type: Number,
     required: true
@@ -43,6 +66,10 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'paid', 'failed', 'refunded'],
     default: 'pending'
   },
+  // Provider payment id, set when payment starts and confirmed by webhook
+  paymentId: {
+    type: String
+  },
   trackingNumber: {
     type: String,
     trim: true
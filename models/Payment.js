@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // Id of the payment at the provider (payment intent, gateway order, ...)
+  providerPaymentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  purpose: {
+    type: String,
+    enum: ['order', 'subscription'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed', 'refunded'],
+    default: 'pending'
+  },
+  // What the frontend needs to complete the payment, kept so an open payment
+  // can be handed out again instead of starting a second one
+  clientData: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Set once a refund is asked for, e.g. for a payment that completed after
+  // its order was cancelled. A refund the provider refused keeps its error
+  // so it can be retried by hand.
+  refund: {
+    reason: String,
+    requestedAt: Date,
+    providerRefundId: String,
+    error: String
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ order: 1 });
+// At most one open payment per order, so an order can't be charged twice
+paymentSchema.index(
+  { order: 1 },
+  { unique: true, partialFilterExpression: { purpose: 'order', status: 'pending' }, name: 'order_open_payment' }
+);
+paymentSchema.index({ subscription: 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
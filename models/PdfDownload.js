@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const pdfDownloadSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  // link_issued when a download link is handed out, file_served when a link
+  // is used; a link used from many addresses is a sign of sharing
+  event: {
+    type: String,
+    enum: ['link_issued', 'file_served'],
+    required: true
+  },
+  // How the user is entitled to the PDF
+  access: {
+    type: String,
+    enum: ['subscription', 'purchase']
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+pdfDownloadSchema.index({ user: 1, createdAt: -1 });
+pdfDownloadSchema.index({ book: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PdfDownload', pdfDownloadSchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { FEATURE_KEYS } = require('../config/features');
+
+const planSchema = new mongoose.Schema({
+  // Stable identifier stored on subscriptions, e.g. "premium"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9_-]+$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  interval: {
+    type: String,
+    enum: ['month', 'year'],
+    default: 'month'
+  },
+  intervalCount: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Feature keys from config/features.js
+  features: [{
+    type: String,
+    enum: FEATURE_KEYS
+  }],
+  // Archived plans can't be subscribed to, but existing subscribers keep them
+  status: {
+    type: String,
+    enum: ['active', 'archived'],
+    default: 'active'
+  },
+  archivedAt: {
+    type: Date
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// End of a billing period starting at the given date
+planSchema.methods.periodEnd = function(startDate) {
+  const end = new Date(startDate);
+  if (this.interval === 'year') {
+    end.setFullYear(end.getFullYear() + this.intervalCount);
+  } else {
+    end.setMonth(end.getMonth() + this.intervalCount);
+  }
+  return end;
+};
+
+// Whether the plan includes a feature key
+planSchema.methods.hasFeature = function(feature) {
+  return this.features.includes(feature);
+};
+
+// Plans customers can subscribe to, in display order
+planSchema.statics.findAvailable = function() {
+  return this.find({ status: 'active' }).sort({ sortOrder: 1, price: 1 });
+};
+
+// Create the original plans when the collection is empty
+planSchema.statics.seedDefaults = async function() {
+  if (await this.estimatedDocumentCount() > 0) {
+    return;
+  }
+
+  await this.insertMany([
+    {
+      key: 'basic',
+      name: 'Basic Plan',
+      price: 99,
+      interval: 'month',
+      features: [
+        'pdf_access',
+        'support_basic',
+        'mobile_app'
+      ],
+      description: 'Perfect for casual readers',
+      sortOrder: 1
+    },
+    {
+      key: 'standard',
+      name: 'Standard Plan',
+      price: 299,
+      interval: 'month',
+      features: [
+        'pdf_access',
+        'support_priority',
+        'mobile_app',
+        'offline_reading',
+        'bookmarks_notes'
+      ],
+      description: 'Great for regular readers',
+      sortOrder: 2
+    },
+    {
+      key: 'premium',
+      name: 'Premium Plan',
+      price: 599,
+      interval: 'month',
+      features: [
+        'pdf_access',
+        'support_premium',
+        'mobile_app',
+        'offline_reading',
+        'bookmarks_notes',
+        'exclusive_content',
+        'early_access'
+      ],
+      description: 'Ultimate reading experience',
+      sortOrder: 3
+    }
+  ]);
+};
+
+module.exports = mongoose.model('Plan', planSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Server-side record of an issued refresh token. Only a hash of the token is
+// stored. Tokens rotate on every use; all tokens descending from the same
+// login share a family, so reuse of an old token can revoke the whole chain.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  // User.tokenVersion at issue time; bumping it invalidates the token
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  replacedBy: {
+    type: String
+  },
+  createdByIp: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Let MongoDB remove tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
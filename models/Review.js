@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: 5000
+  },
+  // How the reviewer got the book: a delivered order or a purchased PDF
+  verifiedBy: {
+    type: String,
+    enum: ['order', 'pdf']
+  },
+  // Hidden reviews are left out of listings and the book's rating
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published'
+  },
+  editedAt: {
+    type: Date
+  },
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+  helpfulVoters: {
+    type: [mongoose.Schema.Types.ObjectId],
+    select: false
+  },
+  reports: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  // Set when the review is reported and cleared once a moderator acts
+  needsModeration: {
+    type: Boolean,
+    default: false
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  },
+  moderationNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// One review per user per book
+reviewSchema.index({ book: 1, user: 1 }, { unique: true });
+reviewSchema.index({ book: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ needsModeration: 1, reportCount: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
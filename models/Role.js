@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { PERMISSION_KEYS, ADMIN_ROLE, BUILT_IN_ROLES } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+  // Stored on users, so it can't change once created
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Staff roles can use the admin API
+  isStaff: {
+    type: Boolean,
+    default: true
+  },
+  permissions: {
+    type: [String],
+    enum: PERMISSION_KEYS,
+    default: []
+  },
+  builtIn: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Permissions the role grants
+roleSchema.methods.grantedPermissions = function() {
+  return this.key === ADMIN_ROLE ? [...PERMISSION_KEYS] : [...this.permissions];
+};
+
+// Create any built-in roles that are missing. Existing roles keep the
+// permissions admins have given them.
+roleSchema.statics.seedDefaults = async function() {
+  await this.bulkWrite(BUILT_IN_ROLES.map(role => ({
+    updateOne: {
+      filter: { key: role.key },
+      update: {
+        $setOnInsert: {
+          name: role.name,
+          description: role.description,
+          isStaff: role.isStaff,
+          permissions: role.permissions
+        },
+        $set: { builtIn: true }
+      },
+      upsert: true
+    }
+  })));
+};
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A word used in catalog titles, authors, publishers or categories, with the
+// number of books using it. Search terms the catalog doesn't contain are
+// corrected against these, looking only at words with the same first letter
+// and a similar length.
+const searchTermSchema = new mongoose.Schema({
+  word: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  initial: {
+    type: String,
+    required: true
+  },
+  length: {
+    type: Number,
+    required: true
+  },
+  books: {
+    type: Number,
+    default: 0
+  }
+});
+
+searchTermSchema.index({ initial: 1, length: 1 });
+
+module.exports = mongoose.model('SearchTerm', searchTermSchema);
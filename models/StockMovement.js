@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// One change to a book's stock. Book.stock is the running total of these
+// entries, so the ledger is append-only: the model refuses updates and deletes.
+const stockMovementSchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['receipt', 'sale', 'return', 'adjustment', 'damage'],
+    required: true
+  },
+  // Signed change: positive when copies come in, negative when they go out
+  quantity: {
+    type: Number,
+    required: true
+  },
+  stockAfter: {
+    type: Number,
+    required: true
+  },
+  // Staff member who recorded the movement, or the customer for order sales and returns
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ book: 1, createdAt: -1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+
+const appendOnly = function(next) {
+  next(new Error('Stock movements cannot be modified'));
+};
+
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return appendOnly(next);
+  }
+  next();
+});
+
+stockMovementSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], appendOnly);
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
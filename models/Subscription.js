@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { FEATURES } = require('../config/features');
 
 const subscriptionSchema = new mongoose.Schema({
   user: {
@@ -6,22 +7,47 @@ const subscriptionSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Key of the Plan this subscription is for
   plan: {
     type: String,
-    enum: ['basic', 'standard', 'premium'],
     required: true
   },
   planName: {
     type: String,
     required: true
   },
+  // Plan price for the period
   price: {
     type: Number,
     required: true
   },
+  // What the customer is charged for the period, when it differs from the
+  // plan price (e.g. a prorated upgrade or a coupon)
+  amountCharged: {
+    type: Number,
+    min: 0
+  },
+  // Coupon applied at checkout
+  discount: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    amount: {
+      type: Number,
+      min: 0
+    }
+  },
+  // Feature keys copied from the plan when the subscription was created
   features: [{
     type: String
   }],
+  billingInterval: {
+    type: String,
+    enum: ['month', 'year'],
+    default: 'month'
+  },
   status: {
     type: String,
     enum: ['active', 'expired', 'cancelled', 'pending'],
@@ -42,6 +68,56 @@ const subscriptionSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Previous period this subscription renews
+  renewedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  // Subscription this one replaced through an immediate plan change, and
+  // the one that replaced it
+  changedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  // Plan changes requested on this subscription. Upgrades apply immediately
+  // once paid; downgrades are scheduled for the end of the period.
+  planChanges: [{
+    type: {
+      type: String,
+      enum: ['upgrade', 'downgrade'],
+      required: true
+    },
+    fromPlan: String,
+    toPlan: String,
+    status: {
+      type: String,
+      enum: ['scheduled', 'pending_payment', 'applied', 'cancelled'],
+      required: true
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    effectiveAt: Date,
+    credit: Number,
+    amountCharged: Number
+  }],
+  // Automatic renewal state. After a failed charge the subscription is kept
+  // active until graceEndsAt while renewal is retried; periodEnd keeps the
+  // real end of the paid period so the next period starts from there.
+  renewal: {
+    attempts: { type: Number, default: 0 },
+    lastAttemptAt: Date,
+    lastError: String,
+    nextAttemptAt: Date,
+    graceEndsAt: Date,
+    periodEnd: Date,
+    lockedUntil: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -55,60 +131,28 @@ const subscriptionSchema = new mongoose.Schema({
 // Index for efficient queries
 subscriptionSchema.index({ user: 1, status: 1 });
 subscriptionSchema.index({ endDate: 1 });
+subscriptionSchema.index({ status: 1, 'renewal.nextAttemptAt': 1 });
 
 // Virtual for checking if subscription is currently active
 subscriptionSchema.virtual('isActive').get(function() {
   return this.status === 'active' && this.endDate > new Date();
 });
 
-// Method to check if subscription has specific feature
+// Method to check if subscription has specific feature. Subscriptions
+// created before features had keys store display names instead.
 subscriptionSchema.methods.hasFeature = function(feature) {
-  return this.features.includes(feature);
+  return this.features.includes(feature) ||
+    Boolean(FEATURES[feature] && this.features.includes(FEATURES[feature].name));
 };
 
-// Static method to get subscription plans
-subscriptionSchema.statics.getPlans = function() {
-  return {
-    basic: {
-      name: 'Basic Plan',
-      price: 99,
-      duration: 30, // days
-      features: [
-        'Access to PDF books',
-        'Basic customer support',
-        'Mobile app access'
-      ],
-      description: 'Perfect for casual readers'
-    },
-    standard: {
-      name: 'Standard Plan', 
-      price: 299,
-      duration: 30,
-      features: [
-        'Access to PDF books',
-        'Priority customer support',
-        'Mobile app access',
-        'Offline reading',
-        'Bookmarks & notes'
-      ],
-      description: 'Great for regular readers'
-    },
-    premium: {
-      name: 'Premium Plan',
-      price: 599,
-      duration: 30,
-      features: [
-        'Access to PDF books',
-        'Premium customer support',
-        'Mobile app access',
-        'Offline reading',
-        'Bookmarks & notes',
-        'Exclusive content',
-        'Early access to new releases'
-      ],
-      description: 'Ultimate reading experience'
-    }
-  };
+// Downgrade waiting for the end of the current period, if any
+subscriptionSchema.methods.scheduledPlanChange = function() {
+  return this.planChanges.find(change => change.status === 'scheduled');
+};
+
+// Amount to charge for this period
+subscriptionSchema.methods.amountDue = function() {
+  return this.amountCharged !== undefined && this.amountCharged !== null ? this.amountCharged : this.price;
 };
 
 // Pre-save middleware to update updatedAt
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { PERMISSION_KEYS } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -19,24 +20,29 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // Key of a Role document
   role: {
     type: String,
-    enum: ['user', 'admin', 'manager', 'staff'],
     default: 'user'
   },
+  // Full permission list from before roles were stored in the database.
+  // Used as-is until migrate-admin-permissions.js converts it to the
+  // overrides below.
   permissions: {
+    type: [String],
+    default: undefined,
+    enum: PERMISSION_KEYS
+  },
+  // Per-user changes to the permissions the role grants
+  grantedPermissions: {
+    type: [String],
+    default: [],
+    enum: PERMISSION_KEYS
+  },
+  revokedPermissions: {
     type: [String],
     default: [],
-    enum: [
-      'view_dashboard',
-      'manage_books',
-      'manage_orders',
-      'manage_users',
-      'view_analytics',
-      'manage_settings',
-      'export_data',
-      'manage_permissions'
-    ]
+    enum: PERMISSION_KEYS
   },
   address: {
     street: String,
@@ -52,6 +58,81 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Bumped to invalidate every token issued to the user
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Set to false on registration until the address is confirmed. Accounts
+  // created before verification existed have no value and count as verified.
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date
+  },
+  // Hash of the outstanding password reset token, if any
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Login throttling: set while the account is locked out after repeated
+  // failed logins, with the latest failures kept for admins to review
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  recentFailedLogins: [{
+    at: Date,
+    ip: String,
+    userAgent: String
+  }],
+  // TOTP two-factor authentication. The secret is only stored once the user
+  // confirms a code from their authenticator app.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodeHashes: {
+      type: [String],
+      select: false
+    },
+    // Last time step accepted, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
   }
 }, {
   timestamps: true
@@ -75,4 +156,9 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Whether the user has confirmed their email address
+userSchema.methods.isEmailVerified = function() {
+  return this.emailVerified !== false;
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Provider events that have been processed, so redelivered webhooks are
+// acknowledged without being applied twice
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String
+  },
+  paymentId: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: 'receivedAt', updatedAt: false }
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [{
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book',
+      required: true
+    },
+    // Price when the book was saved, so the list can show drops since then
+    priceAtAdd: {
+      type: Number,
+      required: true
+    },
+    notifyBackInStock: {
+      type: Boolean,
+      default: true
+    },
+    notifyPriceDrop: {
+      type: Boolean,
+      default: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Finding who to alert when a book changes
+wishlistSchema.index({ 'items.book': 1 });
+
+// Find a user's wishlist, creating an empty one on first use. The upsert means
+// concurrent first requests share one wishlist instead of racing to create it.
+wishlistSchema.statics.forUser = function(userId) {
+  return this.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, items: [] } },
+    { upsert: true, new: true }
+  );
+};
+
+// Find the entry for a book
+wishlistSchema.methods.findItem = function(bookId) {
+  return this.items.find(item => item.book.toString() === bookId.toString());
+};
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
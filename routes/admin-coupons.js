@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { adminAuth, requirePermission } = require('../middleware/adminAuth');
+const { recordAudit } = require('../services/auditService');
+
+const COUPON_FIELDS = [
+  'description', 'discountType', 'discountValue', 'maxDiscount', 'appliesTo', 'minOrderAmount',
+  'startsAt', 'expiresAt', 'usageLimit', 'perUserLimit', 'categories', 'books', 'plans', 'isActive'
+];
+
+const couponValidation = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('discountType').isIn(['percentage', 'fixed']).withMessage('Discount type must be percentage or fixed'),
+    field('discountValue').isFloat({ min: 0 }).withMessage('Discount value must be a non-negative number'),
+    body('discountValue').if(body('discountType').equals('percentage'))
+      .isFloat({ max: 100 }).withMessage('Percentage discount cannot exceed 100'),
+    body('maxDiscount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Max discount must be a non-negative number'),
+    body('appliesTo').optional().isIn(['order', 'subscription', 'both']).withMessage('Invalid appliesTo value'),
+    body('minOrderAmount').optional().isFloat({ min: 0 }).withMessage('Minimum order amount must be a non-negative number'),
+    body('startsAt').optional({ nullable: true }).isISO8601().withMessage('Invalid start date'),
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Invalid expiry date'),
+    body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+    body('perUserLimit').optional().isInt({ min: 1 }).withMessage('Per-user limit must be at least 1'),
+    body('categories').optional().isArray().withMessage('Categories must be an array'),
+    body('books').optional().isArray().withMessage('Books must be an array'),
+    body('books.*').optional().isMongoId().withMessage('Invalid book id'),
+    body('plans').optional().isArray().withMessage('Plans must be an array'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+const pickCouponFields = (source) => COUPON_FIELDS.reduce((acc, field) => {
+  if (source[field] !== undefined) {
+    acc[field] = source[field];
+  }
+  return acc;
+}, {});
+
+// Get all coupons
+router.get('/', adminAuth, requirePermission('manage_settings'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { search, status, appliesTo } = req.query;
+    const query = {};
+    const now = new Date();
+
+    if (search) {
+      query.code = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+    if (appliesTo) {
+      query.appliesTo = appliesTo;
+    }
+    if (status === 'active') {
+      query.isActive = true;
+      query.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+    } else if (status === 'expired') {
+      query.expiresAt = { $lte: now };
+    } else if (status === 'inactive') {
+      query.isActive = false;
+    }
+
+    const coupons = await Coupon.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const total = await Coupon.countDocuments(query);
+
+    res.json({
+      coupons,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get coupon with redemption totals
+router.get('/:id', adminAuth, requirePermission('manage_settings'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id).populate('books', 'title author');
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    const totals = await CouponRedemption.aggregate([
+      { $match: { coupon: coupon._id } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          totalDiscount: { $sum: '$discount' },
+          users: { $addToSet: '$user' }
+        }
+      }
+    ]);
+
+    res.json({
+      coupon,
+      stats: {
+        redemptions: totals[0]?.redemptions || 0,
+        totalDiscount: totals[0]?.totalDiscount || 0,
+        uniqueUsers: totals[0]?.users.length || 0
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get coupon redemptions
+router.get('/:id/redemptions', adminAuth, requirePermission('manage_settings'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const query = { coupon: req.params.id };
+
+    const redemptions = await CouponRedemption.find(query)
+      .populate('user', 'name email')
+      .populate('order', 'totalAmount status')
+      .populate('subscription', 'plan status')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const total = await CouponRedemption.countDocuments(query);
+
+    res.json({
+      redemptions,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create coupon
+router.post('/', adminAuth, requirePermission('manage_settings'), [
+  body('code').isString().trim().isLength({ min: 3, max: 32 }).withMessage('Code must be 3-32 characters')
+    .matches(/^[A-Za-z0-9_-]+$/).withMessage('Code may only contain letters, numbers, - and _'),
+  ...couponValidation(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const coupon = new Coupon({
+      code: req.body.code,
+      ...pickCouponFields(req.body),
+      createdBy: req.user._id
+    });
+    await coupon.save();
+    await recordAudit(req, { action: 'coupon.created', entityType: 'Coupon', entityId: coupon._id, after: coupon });
+
+    res.status(201).json(coupon);
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(400).json({ message: 'Coupon code already exists' });
+    } else {
+      res.status(500).json({ message: error.message });
+    }
+  }
+});
+
+// Update coupon
+router.put('/:id', adminAuth, requirePermission('manage_settings'), couponValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    const before = coupon.toObject();
+    coupon.set(pickCouponFields(req.body));
+    // The body may change only one of type and value, so check the result
+    if (coupon.discountType === 'percentage' && coupon.discountValue > 100) {
+      return res.status(400).json({ message: 'Percentage discount cannot exceed 100' });
+    }
+    await coupon.save();
+    await recordAudit(req, { action: 'coupon.updated', entityType: 'Coupon', entityId: coupon._id, before, after: coupon });
+
+    res.json(coupon);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete coupon. Coupons that have been used are kept for reporting and
+// must be deactivated instead.
+router.delete('/:id', adminAuth, requirePermission('manage_settings'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    const redemptionCount = await CouponRedemption.countDocuments({ coupon: coupon._id });
+    if (redemptionCount > 0) {
+      return res.status(400).json({
+        message: 'Cannot delete a coupon that has been used. Consider deactivating instead.',
+        redemptionCount
+      });
+    }
+
+    await Coupon.findByIdAndDelete(coupon._id);
+    await recordAudit(req, { action: 'coupon.deleted', entityType: 'Coupon', entityId: coupon._id, before: coupon });
+    res.json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const StockMovement = require('../models/StockMovement');
+const { adminAuth, requirePermission } = require('../middleware/adminAuth');
+const { MOVEMENT_TYPES, recordMovement, lowStockReport } = require('../services/inventoryService');
+const { recordAudit } = require('../services/auditService');
+const { sendError } = require('../utils/httpError');
+
+// Sales are only recorded by orders
+const MANUAL_MOVEMENT_TYPES = MOVEMENT_TYPES.filter(type => type !== 'sale');
+
+// Books at or below their reorder threshold, emptiest first
+router.get('/low-stock', adminAuth, requirePermission('manage_books'), [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('category').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page, limit, category } = req.query;
+    res.json(await lowStockReport({ page, limit, category }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Stock movement ledger, newest first
+router.get('/movements', adminAuth, requirePermission('manage_books'), [
+  query('book').optional().isMongoId().withMessage('Invalid book id'),
+  query('actor').optional().isMongoId().withMessage('Invalid actor id'),
+  query('order').optional().isMongoId().withMessage('Invalid order id'),
+  query('type').optional().isIn(MOVEMENT_TYPES).withMessage(`Type must be one of: ${MOVEMENT_TYPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const { book, type, actor, order, from, to } = req.query;
+    const filter = {};
+
+    if (book) filter.book = String(book);
+    if (type) filter.type = String(type);
+    if (actor) filter.actor = String(actor);
+    if (order) filter.order = String(order);
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+        return res.status(400).json({ message: 'Invalid date range' });
+      }
+    }
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter)
+        .populate('book', 'title isbn')
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StockMovement.countDocuments(filter)
+    ]);
+
+    res.json({
+      movements,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Record a receipt, return, damage write-off or adjustment. Quantities are
+// copies; only adjustments are signed.
+router.post('/movements', adminAuth, requirePermission('manage_books'), [
+  body('book').isMongoId().withMessage('Invalid book id'),
+  body('type').isIn(MANUAL_MOVEMENT_TYPES).withMessage(`Type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}`),
+  body('quantity').isInt().custom(value => Number(value) !== 0).withMessage('Quantity must be a non-zero integer').toInt(),
+  body('reason').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { book, type, quantity, reason } = req.body;
+    const result = await recordMovement({ book, type, quantity, reason, actor: req.user._id });
+    await recordAudit(req, {
+      action: 'inventory.movement_recorded',
+      entityType: 'Book',
+      entityId: result.book._id,
+      before: { stock: result.book.stock - result.movement.quantity },
+      after: { stock: result.book.stock },
+      metadata: { movement: result.movement._id, type, reason }
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
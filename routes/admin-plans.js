@@ -0,0 +1,203 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Plan = require('../models/Plan');
+const Subscription = require('../models/Subscription');
+const { adminAuth, requirePermission } = require('../middleware/adminAuth');
+const { FEATURES, FEATURE_KEYS } = require('../config/features');
+const { recordAudit } = require('../services/auditService');
+
+const PLAN_FIELDS = ['name', 'description', 'price', 'interval', 'intervalCount', 'features', 'sortOrder'];
+
+const planValidation = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().notEmpty().withMessage('Name is required'),
+    field('price').isFloat({ min: 0 }).withMessage('Price must be a non-negative number'),
+    field('interval').isIn(['month', 'year']).withMessage('Interval must be month or year'),
+    body('intervalCount').optional().isInt({ min: 1 }).withMessage('Interval count must be at least 1'),
+    body('features').optional().isArray().withMessage('Features must be an array'),
+    body('features.*').optional().isIn(FEATURE_KEYS).withMessage('Unknown feature'),
+    body('description').optional().isString(),
+    body('sortOrder').optional().isInt().withMessage('Sort order must be an integer')
+  ];
+};
+
+const pickPlanFields = (source) => PLAN_FIELDS.reduce((acc, field) => {
+  if (source[field] !== undefined) {
+    acc[field] = source[field];
+  }
+  return acc;
+}, {});
+
+// Get all plans, including archived ones, with subscriber counts
+router.get('/', adminAuth, requirePermission('manage_settings'), async (req, res) => {
+  try {
+    const plans = await Plan.find().sort({ status: 1, sortOrder: 1, price: 1 });
+    const counts = await Subscription.aggregate([
+      { $match: { status: 'active', endDate: { $gt: new Date() } } },
+      { $group: { _id: '$plan', count: { $sum: 1 } } }
+    ]);
+    const activeByPlan = counts.reduce((acc, item) => {
+      acc[item._id] = item.count;
+      return acc;
+    }, {});
+
+    res.json({
+      plans: plans.map(plan => ({
+        ...plan.toObject(),
+        activeSubscribers: activeByPlan[plan.key] || 0
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get the features plans can include
+router.get('/features', adminAuth, requirePermission('manage_settings'), (req, res) => {
+  res.json({
+    features: FEATURE_KEYS.map(key => ({ key, ...FEATURES[key] }))
+  });
+});
+
+// Get plan by ID
+router.get('/:id', adminAuth, requirePermission('manage_settings'), async (req, res) => {
+  try {
+    const plan = await Plan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ message: 'Plan not found' });
+    }
+    res.json(plan);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create plan
+router.post('/', adminAuth, requirePermission('manage_settings'), [
+  body('key').matches(/^[a-z0-9_-]+$/).withMessage('Key may only contain lowercase letters, numbers, - and _'),
+  ...planValidation(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const plan = new Plan({ key: req.body.key, ...pickPlanFields(req.body) });
+    await plan.save();
+    await recordAudit(req, { action: 'plan.created', entityType: 'Plan', entityId: plan._id, after: plan });
+
+    res.status(201).json({
+      message: 'Plan created successfully',
+      plan
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A plan with this key already exists' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update plan. The key is fixed because subscriptions refer to it; price and
+// feature changes apply to new subscriptions and renewals.
+router.put('/:id', adminAuth, requirePermission('manage_settings'), planValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const plan = await Plan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ message: 'Plan not found' });
+    }
+
+    const before = plan.toObject();
+    plan.set(pickPlanFields(req.body));
+    await plan.save();
+    await recordAudit(req, { action: 'plan.updated', entityType: 'Plan', entityId: plan._id, before, after: plan });
+
+    res.json({
+      message: 'Plan updated successfully',
+      plan
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Archive plan: hidden from new subscribers, existing subscribers unaffected
+router.put('/:id/archive', adminAuth, requirePermission('manage_settings'), async (req, res) => {
+  try {
+    const plan = await Plan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ message: 'Plan not found' });
+    }
+
+    const before = plan.toObject();
+    plan.status = 'archived';
+    plan.archivedAt = new Date();
+    await plan.save();
+    await recordAudit(req, { action: 'plan.archived', entityType: 'Plan', entityId: plan._id, before, after: plan });
+
+    res.json({
+      message: 'Plan archived successfully',
+      plan
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Restore an archived plan
+router.put('/:id/restore', adminAuth, requirePermission('manage_settings'), async (req, res) => {
+  try {
+    const plan = await Plan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ message: 'Plan not found' });
+    }
+
+    const before = plan.toObject();
+    plan.status = 'active';
+    plan.archivedAt = undefined;
+    await plan.save();
+    await recordAudit(req, { action: 'plan.restored', entityType: 'Plan', entityId: plan._id, before, after: plan });
+
+    res.json({
+      message: 'Plan restored successfully',
+      plan
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete plan. Only plans nobody has ever subscribed to can be deleted;
+// others must be archived.
+router.delete('/:id', adminAuth, requirePermission('manage_settings'), async (req, res) => {
+  try {
+    const plan = await Plan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ message: 'Plan not found' });
+    }
+
+    const subscriptionCount = await Subscription.countDocuments({ plan: plan.key });
+    if (subscriptionCount > 0) {
+      return res.status(400).json({
+        message: 'Cannot delete a plan with subscriptions. Archive it instead.',
+        subscriptionCount
+      });
+    }
+
+    await Plan.findByIdAndDelete(plan._id);
+    await recordAudit(req, { action: 'plan.deleted', entityType: 'Plan', entityId: plan._id, before: plan });
+    res.json({ message: 'Plan deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
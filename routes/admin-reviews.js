@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const { adminAuth, requirePermission } = require('../middleware/adminAuth');
+const { moderateReview, refreshBookRating } = require('../services/reviewService');
+const { recordAudit } = require('../services/auditService');
+const { sendError } = require('../utils/httpError');
+
+// Moderation queue: reported reviews waiting for a decision, most reported
+// first. Pass queue=false to browse all reviews.
+router.get('/', adminAuth, requirePermission('moderate_reviews'), [
+  query('status').optional().isIn(['published', 'hidden']).withMessage('Status must be published or hidden'),
+  query('book').optional().isMongoId().withMessage('Invalid book id'),
+  query('user').optional().isMongoId().withMessage('Invalid user id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { status, book, user, queue } = req.query;
+    const query = {};
+
+    if (queue !== 'false') query.needsModeration = true;
+    if (status) query.status = String(status);
+    if (book) query.book = String(book);
+    if (user) query.user = String(user);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .populate('user', 'name email')
+        .populate('book', 'title author')
+        .sort({ reportCount: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Review.countDocuments(query)
+    ]);
+
+    res.json({
+      reviews,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get a review with its reports
+router.get('/:id', adminAuth, requirePermission('moderate_reviews'), async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id)
+      .populate('user', 'name email')
+      .populate('book', 'title author')
+      .populate('reports.user', 'name email')
+      .populate('moderatedBy', 'name email');
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    res.json(review);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Approve (keep published) or hide a review
+router.put('/:id/moderate', adminAuth, requirePermission('moderate_reviews'), [
+  body('action').isIn(['approve', 'hide']).withMessage('Action must be approve or hide'),
+  body('note').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { before, review } = await moderateReview({
+      moderator: req.user,
+      reviewId: req.params.id,
+      action: req.body.action,
+      note: req.body.note
+    });
+    await recordAudit(req, {
+      action: req.body.action === 'hide' ? 'review.hidden' : 'review.approved',
+      entityType: 'Review',
+      entityId: review._id,
+      before,
+      after: review
+    });
+
+    res.json({ message: `Review ${req.body.action === 'hide' ? 'hidden' : 'approved'}`, review });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete a review outright, e.g. spam
+router.delete('/:id', adminAuth, requirePermission('moderate_reviews'), async (req, res) => {
+  try {
+    const review = await Review.findByIdAndDelete(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    await refreshBookRating(review.book);
+    await recordAudit(req, { action: 'review.deleted', entityType: 'Review', entityId: review._id, before: review });
+    res.json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { adminAuth, requirePermission } = require('../middleware/adminAuth');
+const { recordAudit } = require('../services/auditService');
+const { PERMISSION_KEYS, ADMIN_ROLE } = require('../config/permissions');
+
+const ROLE_FIELDS = ['name', 'description', 'isStaff', 'permissions'];
+
+const roleValidation = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('description').optional().isString(),
+    body('isStaff').optional().isBoolean().withMessage('isStaff must be a boolean'),
+    body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+    body('permissions.*').optional().isIn(PERMISSION_KEYS).withMessage('Unknown permission')
+  ];
+};
+
+const pickRoleFields = (source) => ROLE_FIELDS.reduce((acc, field) => {
+  if (source[field] !== undefined) {
+    acc[field] = source[field];
+  }
+  return acc;
+}, {});
+
+// Get all roles with the number of users holding each
+router.get('/', adminAuth, requirePermission('manage_permissions'), async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ builtIn: -1, name: 1 });
+    const counts = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const usersByRole = counts.reduce((acc, item) => {
+      acc[item._id] = item.count;
+      return acc;
+    }, {});
+
+    res.json({
+      roles: roles.map(role => ({
+        ...role.toObject(),
+        permissions: role.grantedPermissions(),
+        userCount: usersByRole[role.key] || 0
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get role by ID
+router.get('/:id', adminAuth, requirePermission('manage_permissions'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    res.json({ ...role.toObject(), permissions: role.grantedPermissions() });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create a custom role
+router.post('/', adminAuth, requirePermission('manage_permissions'), [
+  body('key').matches(/^[a-z0-9_-]+$/).withMessage('Key may only contain lowercase letters, numbers, - and _'),
+  ...roleValidation(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const role = new Role({ key: req.body.key, ...pickRoleFields(req.body) });
+    await role.save();
+    await recordAudit(req, { action: 'role.created', entityType: 'Role', entityId: role._id, after: role });
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A role with this key already exists' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Update role. The key is fixed because users refer to it. Built-in roles
+// keep their staff flag, and the administrator role always has every
+// permission.
+router.put('/:id', adminAuth, requirePermission('manage_permissions'), roleValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const updates = pickRoleFields(req.body);
+    if (role.builtIn && updates.isStaff !== undefined && updates.isStaff !== role.isStaff) {
+      return res.status(400).json({ message: 'Cannot change whether a built-in role is a staff role' });
+    }
+    if (role.key === ADMIN_ROLE && updates.permissions !== undefined) {
+      return res.status(400).json({ message: 'The administrator role always has every permission' });
+    }
+
+    const before = role.toObject();
+    role.set(updates);
+    await role.save();
+    await recordAudit(req, { action: 'role.updated', entityType: 'Role', entityId: role._id, before, after: role });
+
+    res.json({
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete a custom role nobody holds
+router.delete('/:id', adminAuth, requirePermission('manage_permissions'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (role.builtIn) {
+      return res.status(403).json({ message: 'Built-in roles cannot be deleted' });
+    }
+
+    const userCount = await User.countDocuments({ role: role.key });
+    if (userCount > 0) {
+      return res.status(400).json({
+        message: 'Cannot delete a role that is assigned to users. Reassign them first.',
+        userCount
+      });
+    }
+
+    await Role.findByIdAndDelete(role._id);
+    await recordAudit(req, { action: 'role.deleted', entityType: 'Role', entityId: role._id, before: role });
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const Subscription = require('../models/Subscription');
 const User = require('../models/User');
 const { adminAuth } = require('../middleware/adminAuth');
+const { recordAudit } = require('../services/auditService');
 
 // Get all subscriptions with pagination and filters
 router.get('/', adminAuth, async (req, res) => {
@@ -87,7 +88,7 @@ router.get('/stats', adminAuth, async (req, res) => {
         {
           $group: {
             _id: null,
-            total: { $sum: '$price' }
+            total: { $sum: { $ifNull: ['$amountCharged', '$price'] } }
           }
         }
       ]),
@@ -153,8 +154,16 @@ router.put('/:id/status', adminAuth, async (req, res) => {
       return res.status(404).json({ message: 'Subscription not found' });
     }
 
+    const before = subscription.toObject();
     subscription.status = status;
     await subscription.save();
+    await recordAudit(req, {
+      action: 'subscription.status_changed',
+      entityType: 'Subscription',
+      entityId: subscription._id,
+      before,
+      after: subscription
+    });
 
     res.json({
       message: 'Subscription status updated successfully',
@@ -181,8 +190,17 @@ router.put('/:id/extend', adminAuth, async (req, res) => {
     }
 
     // Extend the end date
+    const before = subscription.toObject();
     subscription.endDate = new Date(subscription.endDate.getTime() + (days * 24 * 60 * 60 * 1000));
     await subscription.save();
+    await recordAudit(req, {
+      action: 'subscription.extended',
+      entityType: 'Subscription',
+      entityId: subscription._id,
+      before,
+      after: subscription,
+      metadata: { days }
+    });
 
     res.json({
       message: `Subscription extended by ${days} days`,
@@ -203,6 +221,12 @@ router.delete('/:id', adminAuth, async (req, res) => {
     }
 
     await Subscription.findByIdAndDelete(req.params.id);
+    await recordAudit(req, {
+      action: 'subscription.deleted',
+      entityType: 'Subscription',
+      entityId: subscription._id,
+      before: subscription
+    });
 
     res.json({ message: 'Subscription deleted successfully' });
   } catch (error) {
@@ -219,6 +243,7 @@ router.post('/bulk', adminAuth, async (req, res) => {
       return res.status(400).json({ message: 'Invalid request data' });
     }
 
+    const before = await Subscription.find({ _id: { $in: subscriptionIds } });
     let result;
     
     switch (action) {
@@ -246,6 +271,21 @@ router.post('/bulk', adminAuth, async (req, res) => {
         return res.status(400).json({ message: 'Invalid action' });
     }
 
+    // One audit entry per subscription the operation touched
+    const after = action === 'delete'
+      ? []
+      : await Subscription.find({ _id: { $in: before.map(subscription => subscription._id) } });
+    for (const subscription of before) {
+      await recordAudit(req, {
+        action: `subscription.bulk_${action}`,
+        entityType: 'Subscription',
+        entityId: subscription._id,
+        before: subscription,
+        after: after.find(updated => updated._id.equals(subscription._id)),
+        metadata: { bulk: true, count: before.length }
+      });
+    }
+
     res.json({
       message: `Bulk ${action} completed successfully`,
       modifiedCount: result.modifiedCount || result.deletedCount
@@ -1,10 +1,27 @@
 const express = require('express');
+const fs = require('fs');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Book = require('../models/Book');
 const User = require('../models/User');
 const Order = require('../models/Order');
+const PdfDownload = require('../models/PdfDownload');
+const AuditLog = require('../models/AuditLog');
+const Role = require('../models/Role');
 const { adminAuth, requirePermission } = require('../middleware/adminAuth');
+const pdfUpload = require('../middleware/pdfUpload');
+const validateBookQuery = require('../middleware/bookQuery');
+const { attachPdf, detachPdf } = require('../services/bookPdfService');
+const { getBook, createBook, updateBook, deleteBook } = require('../services/catalogService');
+const { searchBooks } = require('../services/bookSearchService');
+const { lowStockCounts } = require('../services/inventoryService');
+const { cancelOrder, ADMIN_CANCELLABLE_STATUSES } = require('../services/orderService');
+const { invalidateUserTokens } = require('../services/tokenService');
+const { unlockAccount } = require('../services/loginThrottle');
+const { recordAudit } = require('../services/auditService');
+const { getRole, resolvePermissions, overridesFor } = require('../services/roleService');
+const { PERMISSIONS, PERMISSION_KEYS, ADMIN_ROLE } = require('../config/permissions');
+const { sendError } = require('../utils/httpError');
 
 // Admin Dashboard Stats
 router.get('/dashboard', adminAuth, requirePermission('view_dashboard'), async (req, res) => {
@@ -24,13 +41,16 @@ router.get('/dashboard', adminAuth, requirePermission('view_dashboard'), async (
       { $match: { paymentStatus: 'paid' } },
       { $group: { _id: null, total: { $sum: '$totalAmount' } } }
     ]);
+    const { lowStock, outOfStock } = await lowStockCounts();
 
     res.json({
       stats: {
         totalBooks,
         totalUsers,
         totalOrders,
-        totalRevenue: revenue[0]?.total || 0
+        totalRevenue: revenue[0]?.total || 0,
+        lowStockBooks: lowStock,
+        outOfStockBooks: outOfStock
       },
       recentOrders
     });
@@ -40,95 +60,125 @@ router.get('/dashboard', adminAuth, requirePermission('view_dashboard'), async (
 });
 
 // Book Management
-router.get('/books', adminAuth, requirePermission('manage_books'), async (req, res) => {
+router.get('/books', adminAuth, requirePermission('manage_books'), validateBookQuery, async (req, res) => {
   try {
-    const { page = 1, limit = 20, search, category } = req.query;
-    const query = {};
-    
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { author: { $regex: search, $options: 'i' } },
-        { isbn: { $regex: search, $options: 'i' } }
-      ];
-    }
-    
-    if (category) {
-      query.category = category;
-    }
-    
-    const books = await Book.find(query)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
-    
-    const total = await Book.countDocuments(query);
-    
-    res.json({
-      books,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
-    });
+    res.json(await searchBooks({ limit: 20, ...req.query }));
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
+const bookValidation = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('title').isString().trim().notEmpty().withMessage('Title is required'),
+    field('author').isString().trim().notEmpty().withMessage('Author is required'),
+    field('isbn').isString().trim().notEmpty().withMessage('ISBN is required'),
+    field('price').isFloat({ min: 0 }).withMessage('Price must be a non-negative number'),
+    field('category').isString().trim().notEmpty().withMessage('Category is required'),
+    field('stock').isInt({ min: 0 }).withMessage('Stock must be a non-negative integer').toInt(),
+    body('description').optional().isString(),
+    body('imageUrl').optional().isString(),
+    body('publishedDate').optional({ nullable: true }).isISO8601().withMessage('Published date must be a date'),
+    body('publisher').optional().isString(),
+    body('pdfPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('PDF price must be a non-negative number'),
+    body('allowPdfPurchase').optional().isBoolean().withMessage('allowPdfPurchase must be a boolean'),
+    body('exclusive').optional().isBoolean().withMessage('exclusive must be a boolean').toBoolean(),
+    body('reorderThreshold').optional({ nullable: true }).isInt({ min: 0 })
+      .withMessage('Reorder threshold must be a non-negative integer').toInt(),
+    body('stockReason').optional().isString().trim()
+  ];
+};
+
 // Create Book
-router.post('/books', adminAuth, requirePermission('manage_books'), [
-  body('title').notEmpty().withMessage('Title is required'),
-  body('author').notEmpty().withMessage('Author is required'),
-  body('isbn').notEmpty().withMessage('ISBN is required'),
-  body('price').isNumeric().withMessage('Price must be a number'),
-  body('category').notEmpty().withMessage('Category is required'),
-  body('stock').isNumeric().withMessage('Stock must be a number')
-], async (req, res) => {
+router.post('/books', adminAuth, requirePermission('manage_books'), bookValidation(false), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const book = new Book(req.body);
-    await book.save();
+    const book = await createBook(req.body, { actor: req.user._id });
+    await recordAudit(req, { action: 'book.created', entityType: 'Book', entityId: book._id, after: book });
     res.status(201).json(book);
   } catch (error) {
-    if (error.code === 11000) {
-      res.status(400).json({ message: 'ISBN already exists' });
-    } else {
-      res.status(500).json({ message: error.message });
-    }
+    sendError(res, error);
   }
 });
 
-// Update Book
-router.put('/books/:id', adminAuth, requirePermission('manage_books'), async (req, res) => {
+// Update Book. Only the fields in BOOK_FIELDS can change; a new stock count is
+// recorded in the inventory ledger.
+router.put('/books/:id', adminAuth, requirePermission('manage_books'), bookValidation(true), async (req, res) => {
   try {
-    const book = await Book.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
-    
-    if (!book) {
-      return res.status(404).json({ message: 'Book not found' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
-    
+
+    const { before, book } = await updateBook(req.params.id, req.body, { actor: req.user._id });
+    await recordAudit(req, { action: 'book.updated', entityType: 'Book', entityId: book._id, before, after: book });
     res.json(book);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
 // Delete Book
 router.delete('/books/:id', adminAuth, requirePermission('manage_books'), async (req, res) => {
   try {
-    const book = await Book.findByIdAndDelete(req.params.id);
+    const book = await deleteBook(req.params.id);
+    await recordAudit(req, { action: 'book.deleted', entityType: 'Book', entityId: book._id, before: book });
+    res.json({ message: 'Book deleted successfully' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Upload or replace a book's PDF. The upload's temp file is gone once storage
+// has it; whatever happens, none is left behind.
+const uploadBookPdf = async (req, res) => {
+  try {
+    const book = await getBook(req.params.id);
+    const replaced = book.hasPdf;
+    const before = book.toObject();
+    await attachPdf(book, req.file);
+    await recordAudit(req, {
+      action: replaced ? 'book.pdf_replaced' : 'book.pdf_uploaded',
+      entityType: 'Book',
+      entityId: book._id,
+      before,
+      after: book
+    });
+
+    res.status(replaced ? 200 : 201).json({
+      message: replaced ? 'PDF replaced successfully' : 'PDF uploaded successfully',
+      book
+    });
+  } catch (error) {
+    sendError(res, error);
+  } finally {
+    await fs.promises.unlink(req.file.path).catch(() => {});
+  }
+};
+
+router.post('/books/:id/pdf', adminAuth, requirePermission('manage_books'), pdfUpload, uploadBookPdf);
+router.put('/books/:id/pdf', adminAuth, requirePermission('manage_books'), pdfUpload, uploadBookPdf);
+
+// Delete a book's PDF
+router.delete('/books/:id/pdf', adminAuth, requirePermission('manage_books'), async (req, res) => {
+  try {
+    const book = await Book.findById(req.params.id);
     if (!book) {
       return res.status(404).json({ message: 'Book not found' });
     }
-    res.json({ message: 'Book deleted successfully' });
+    if (!book.hasPdf) {
+      return res.status(404).json({ message: 'Book has no PDF' });
+    }
+
+    const before = book.toObject();
+    await detachPdf(book);
+    await recordAudit(req, { action: 'book.pdf_deleted', entityType: 'Book', entityId: book._id, before, after: book });
+    res.json({ message: 'PDF deleted successfully', book });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -195,19 +245,50 @@ router.put('/orders/:id/status', adminAuth, requirePermission('manage_orders'),
     }
 
     const { status, trackingNumber, notes } = req.body;
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status, trackingNumber, notes },
-      { new: true }
-    ).populate('user', 'name email').populate('items.book', 'title author');
-    
-    if (!order) {
+    const before = await Order.findById(req.params.id);
+    if (!before) {
       return res.status(404).json({ message: 'Order not found' });
     }
+    // Its stock and coupon uses have been given back, so it can't be reopened
+    if (before.status === 'cancelled' && status !== 'cancelled') {
+      return res.status(400).json({ message: 'A cancelled order cannot be reopened' });
+    }
+
+    // Cancelling goes through the same path as a customer cancellation so
+    // stock, coupon redemptions and any payment are returned
+    if (status === 'cancelled' && before.status !== 'cancelled') {
+      await cancelOrder({
+        orderId: before._id,
+        actor: req.user._id,
+        statuses: ADMIN_CANCELLABLE_STATUSES
+      });
+    }
+
+    // Other changes only apply while the order is still open, in case the
+    // customer cancels it in the meantime
+    const order = status === 'cancelled'
+      ? await Order.findByIdAndUpdate(before._id, { trackingNumber, notes }, { new: true })
+        .populate('user', 'name email').populate('items.book', 'title author')
+      : await Order.findOneAndUpdate(
+        { _id: before._id, status: { $ne: 'cancelled' } },
+        { status, trackingNumber, notes },
+        { new: true }
+      ).populate('user', 'name email').populate('items.book', 'title author');
+
+    if (!order) {
+      return res.status(400).json({ message: 'A cancelled order cannot be reopened' });
+    }
     
+    await recordAudit(req, {
+      action: before.status !== order.status ? 'order.status_changed' : 'order.updated',
+      entityType: 'Order',
+      entityId: order._id,
+      before,
+      after: order
+    });
     res.json(order);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
@@ -240,6 +321,7 @@ router.get('/users', adminAuth, requirePermission('manage_users'), async (req, r
       
       return {
         ...user.toObject(),
+        isLocked: Boolean(user.lockedUntil && user.lockedUntil > new Date()),
         orderCount,
         totalSpent
       };
@@ -285,6 +367,7 @@ router.delete('/users/:id', adminAuth, requirePermission('manage_users'), async
     
     // Delete the user
     await User.findByIdAndDelete(userId);
+    await recordAudit(req, { action: 'user.deleted', entityType: 'User', entityId: user._id, before: user });
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -313,8 +396,19 @@ router.put('/users/:id/status', adminAuth, requirePermission('manage_users'), [
       return res.status(403).json({ message: 'Cannot modify admin user status' });
     }
     
+    const before = user.toObject();
     user.isActive = isActive;
     await user.save();
+    if (!isActive) {
+      await invalidateUserTokens(user._id);
+    }
+    await recordAudit(req, {
+      action: isActive ? 'user.activated' : 'user.deactivated',
+      entityType: 'User',
+      entityId: user._id,
+      before,
+      after: user
+    });
     
     res.json({ 
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -325,6 +419,24 @@ router.put('/users/:id/status', adminAuth, requirePermission('manage_users'), [
   }
 });
 
+// Lift a login lockout
+router.put('/users/:id/unlock', adminAuth, requirePermission('manage_users'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await unlockAccount(user);
+
+    const updated = await User.findById(user._id).select('-password');
+    await recordAudit(req, { action: 'user.unlocked', entityType: 'User', entityId: user._id, before: user, after: updated });
+    res.json({ message: 'User unlocked successfully', user: updated });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Analytics
 router.get('/analytics', adminAuth, requirePermission('view_analytics'), async (req, res) => {
   try {
@@ -393,66 +505,179 @@ router.get('/analytics', adminAuth, requirePermission('view_analytics'), async (
   }
 });
 
-// Role and Permission Management
-router.get('/roles', adminAuth, requirePermission('manage_permissions'), async (req, res) => {
+// PDF download log
+router.get('/pdf-downloads', adminAuth, requirePermission('view_analytics'), [
+  query('user').optional().isMongoId().withMessage('Invalid user id'),
+  query('book').optional().isMongoId().withMessage('Invalid book id'),
+  query('event').optional().isIn(['link_issued', 'file_served']).withMessage('Event must be link_issued or file_served')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const { user, book, event } = req.query;
+    const query = {};
+
+    if (user) query.user = String(user);
+    if (book) query.book = String(book);
+    if (event) query.event = String(event);
+
+    const [downloads, total] = await Promise.all([
+      PdfDownload.find(query)
+        .populate('user', 'name email')
+        .populate('book', 'title author')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PdfDownload.countDocuments(query)
+    ]);
+
+    res.json({
+      downloads,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Users whose download links were used from the most distinct IP addresses,
+// a sign that links are being shared
+router.get('/pdf-downloads/sharing', adminAuth, requirePermission('view_analytics'), async (req, res) => {
   try {
-    const roles = [
+    const days = parseInt(req.query.period) || 30;
+    const minIps = parseInt(req.query.minIps) || 3;
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+
+    // S3 links go straight to the bucket and never reach the streaming
+    // endpoint, so link requests count alongside streamed files
+    const users = await PdfDownload.aggregate([
+      { $match: { event: { $in: ['link_issued', 'file_served'] }, createdAt: { $gte: startDate } } },
       {
-        name: 'admin',
-        displayName: 'Administrator',
-        description: 'Full system access',
-        permissions: ['view_dashboard', 'manage_books', 'manage_orders', 'manage_users', 'view_analytics', 'manage_settings', 'export_data', 'manage_permissions']
+        $group: {
+          _id: '$user',
+          downloads: { $sum: { $cond: [{ $eq: ['$event', 'link_issued'] }, 1, 0] } },
+          ips: { $addToSet: '$ip' },
+          books: { $addToSet: '$book' },
+          lastDownloadAt: { $max: '$createdAt' }
+        }
       },
       {
-        name: 'manager',
-        displayName: 'Manager',
-        description: 'Management access to books, orders, and analytics',
-        permissions: ['view_dashboard', 'manage_books', 'manage_orders', 'view_analytics', 'export_data']
+        $project: {
+          downloads: 1,
+          ips: 1,
+          distinctIps: { $size: '$ips' },
+          distinctBooks: { $size: '$books' },
+          lastDownloadAt: 1
+        }
       },
+      { $match: { distinctIps: { $gte: minIps } } },
+      { $sort: { distinctIps: -1, downloads: -1 } },
+      { $limit: 100 },
       {
-        name: 'staff',
-        displayName: 'Staff',
-        description: 'Basic access to books and orders',
-        permissions: ['view_dashboard', 'manage_books', 'manage_orders']
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'user'
+        }
       },
-      {
-        name: 'user',
-        displayName: 'Customer',
-        description: 'Customer account',
-        permissions: []
+      { $unwind: '$user' },
+      { $project: { 'user.password': 0, 'user.permissions': 0, 'user.address': 0 } }
+    ]);
+
+    res.json({ users });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Audit log of administrative actions, newest first
+router.get('/audit', adminAuth, requirePermission('manage_permissions'), [
+  query('actor').optional().isMongoId().withMessage('Invalid actor id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const { actor, entityType, entityId, action, from, to } = req.query;
+    const query = {};
+
+    if (actor) query.actor = String(actor);
+    if (entityType) query.entityType = String(entityType);
+    if (entityId) query.entityId = String(entityId);
+    if (action) query.action = String(action);
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (Object.values(query.createdAt).some(date => isNaN(date))) {
+        return res.status(400).json({ message: 'Invalid date range' });
       }
-    ];
+    }
 
-    const userCounts = await Promise.all(
-      roles.map(async (role) => {
-        const count = await User.countDocuments({ role: role.name });
-        return { ...role, userCount: count };
-      })
-    );
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
 
-    res.json({ roles: userCounts });
+    res.json({
+      entries,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// Role and Permission Management
 // Get all admin users with their roles and permissions
 router.get('/admin-users', adminAuth, requirePermission('manage_permissions'), async (req, res) => {
   try {
+    const roles = await Role.find({ isStaff: true });
     const adminUsers = await User.find({ 
-      role: { $in: ['admin', 'manager', 'staff'] } 
+      role: { $in: roles.map(role => role.key) } 
     }).select('-password');
+
+    const users = await Promise.all(adminUsers.map(async (user) => ({
+      ...user.toObject(),
+      effectivePermissions: await resolvePermissions(user, roles.find(role => role.key === user.role))
+    })));
     
-    res.json({ users: adminUsers });
+    res.json({ users });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Update user role and permissions
+// Update user role and permissions. Permissions come from the role, with
+// optional per-user grants and revocations; a full `permissions` list is
+// also accepted and stored as overrides on the role.
 router.put('/users/:id/role', adminAuth, requirePermission('manage_permissions'), [
-  body('role').isIn(['user', 'admin', 'manager', 'staff']).withMessage('Invalid role'),
-  body('permissions').optional().isArray().withMessage('Permissions must be an array')
+  body('role').isString().notEmpty().withMessage('Role is required'),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isIn(PERMISSION_KEYS).withMessage('Invalid permission'),
+  body('grantedPermissions').optional().isArray().withMessage('Granted permissions must be an array'),
+  body('grantedPermissions.*').isIn(PERMISSION_KEYS).withMessage('Invalid permission'),
+  body('revokedPermissions').optional().isArray().withMessage('Revoked permissions must be an array'),
+  body('revokedPermissions.*').isIn(PERMISSION_KEYS).withMessage('Invalid permission')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -461,42 +686,53 @@ router.put('/users/:id/role', adminAuth, requirePermission('manage_permissions')
     }
 
     const userId = req.params.id;
-    const { role, permissions } = req.body;
+    const { role: roleKey, permissions, grantedPermissions, revokedPermissions } = req.body;
     
     // Prevent self-demotion for admin users
-    if (req.user._id.toString() === userId && req.user.role === 'admin' && role !== 'admin') {
+    if (req.user._id.toString() === userId && req.user.role === ADMIN_ROLE && roleKey !== ADMIN_ROLE) {
       return res.status(400).json({ message: 'Cannot demote yourself from admin role' });
     }
+
+    const role = await getRole(roleKey);
+    if (!role) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
     
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    // Set default permissions based on role
-    let defaultPermissions = [];
-    switch (role) {
-      case 'admin':
-        defaultPermissions = ['view_dashboard', 'manage_books', 'manage_orders', 'manage_users', 'view_analytics', 'manage_settings', 'export_data', 'manage_permissions'];
-        break;
-      case 'manager':
-        defaultPermissions = ['view_dashboard', 'manage_books', 'manage_orders', 'view_analytics', 'export_data'];
-        break;
-      case 'staff':
-        defaultPermissions = ['view_dashboard', 'manage_books', 'manage_orders'];
-        break;
-      case 'user':
-        defaultPermissions = [];
-        break;
-    }
-    
-    user.role = role;
-    user.permissions = permissions || defaultPermissions;
+    const overrides = permissions
+      ? overridesFor(role, permissions)
+      : { grantedPermissions: grantedPermissions || [], revokedPermissions: revokedPermissions || [] };
+
+    const before = user.toObject();
+    const roleChanged = user.role !== role.key;
+    user.role = role.key;
+    user.grantedPermissions = overrides.grantedPermissions;
+    user.revokedPermissions = overrides.revokedPermissions;
+    user.permissions = undefined;
     await user.save();
+    // Make the user sign in again so old tokens don't carry the old role
+    if (roleChanged) {
+      await invalidateUserTokens(user._id);
+    }
+    await recordAudit(req, {
+      action: roleChanged ? 'user.role_changed' : 'user.permissions_changed',
+      entityType: 'User',
+      entityId: user._id,
+      before,
+      after: user
+    });
     
     res.json({ 
       message: 'User role updated successfully',
-      user: { ...user.toObject(), password: undefined }
+      user: {
+        ...user.toObject(),
+        password: undefined,
+        effectivePermissions: await resolvePermissions(user, role)
+      }
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -506,16 +742,7 @@ router.put('/users/:id/role', adminAuth, requirePermission('manage_permissions')
 // Get available permissions
 router.get('/permissions', adminAuth, requirePermission('manage_permissions'), async (req, res) => {
   try {
-    const permissions = [
-      { name: 'view_dashboard', displayName: 'View Dashboard', description: 'Access to admin dashboard overview' },
-      { name: 'manage_books', displayName: 'Manage Books', description: 'Create, edit, and delete books' },
-      { name: 'manage_orders', displayName: 'Manage Orders', description: 'View and update order status' },
-      { name: 'manage_users', displayName: 'Manage Users', description: 'View and manage customer accounts' },
-      { name: 'view_analytics', displayName: 'View Analytics', description: 'Access to sales and analytics data' },
-      { name: 'manage_settings', displayName: 'Manage Settings', description: 'System configuration access' },
-      { name: 'export_data', displayName: 'Export Data', description: 'Export system data and reports' },
-      { name: 'manage_permissions', displayName: 'Manage Permissions', description: 'Manage user roles and permissions' }
-    ];
+    const permissions = PERMISSION_KEYS.map(name => ({ name, ...PERMISSIONS[name] }));
     
     res.json({ permissions });
   } catch (error) {
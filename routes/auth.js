@@ -1,8 +1,64 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const auth = require('../middleware/auth');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  invalidateUserTokens
+} = require('../services/tokenService');
+const { requestPasswordReset, resetPassword } = require('../services/passwordResetService');
+const {
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail
+} = require('../services/emailVerificationService');
+const { sendMailInBackground } = require('../services/mailer');
+const { sendError } = require('../utils/httpError');
+const { checkLogin, recordFailure, recordSuccess } = require('../services/loginThrottle');
+const {
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createLoginChallenge,
+  verifyLoginChallenge
+} = require('../services/twoFactorService');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Tokens and profile returned once every login step has passed
+const loginResponse = async (user, req) => {
+  const { token, refreshToken, expiresIn } = await issueTokens(user, req);
+  return {
+    message: 'Login successful',
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.isEmailVerified(),
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+      twoFactorSetupRequired: !user.twoFactor?.enabled && await isTwoFactorRequired(user)
+    }
+  };
+};
+
+const tooManyAttempts = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: 'Too many failed login attempts. Please try again later.',
+    retryAfter
+  });
+};
 
 // Register user
 router.post('/register', [
@@ -25,24 +81,24 @@ router.post('/register', [
     }
 
     // Create new user
-    const user = new User({ name, email, password });
+    const user = new User({ name, email, password, emailVerified: false });
     await user.save();
+    await sendVerificationEmail(user);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Generate access and refresh tokens
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.isEmailVerified()
       }
     });
   } catch (error) {
@@ -62,77 +118,113 @@ router.post('/login', [
     }
 
     const { email, password } = req.body;
-    console.log('Login attempt:', { email, password: '***' });
+    const attempt = { email, ip: req.ip, userAgent: req.get('user-agent') };
+
+    const throttle = await checkLogin(attempt);
+    if (!throttle.allowed) {
+      return tooManyAttempts(res, throttle.retryAfter);
+    }
+    if (throttle.delayMs) {
+      await sleep(throttle.delayMs);
+    }
 
     // Find user by email
     const user = await User.findOne({ email });
-    console.log('User found:', user ? 'Yes' : 'No');
     if (!user) {
-      console.log('User not found for email:', email);
+      await recordFailure(attempt);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    console.log('User role:', user.role);
-    console.log('Stored password hash:', user.password.substring(0, 20) + '...');
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      return tooManyAttempts(res, Math.ceil((user.lockedUntil - Date.now()) / 1000));
+    }
 
     // Check password
     const isPasswordValid = await user.comparePassword(password);
-    console.log('Password valid:', isPasswordValid);
-    
     if (!isPasswordValid) {
-      console.log('Password comparison failed');
+      const { locked, retryAfter } = await recordFailure({ ...attempt, user });
+      if (locked) {
+        return tooManyAttempts(res, retryAfter);
+      }
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    if (user.isActive === false) {
+      return res.status(403).json({ message: 'Account is deactivated.' });
+    }
+
+    // With 2FA on, the password only earns a challenge for the second step
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        twoFactorToken: createLoginChallenge(user)
+      });
+    }
 
-    console.log('Login successful for:', email);
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
-    });
+    await recordSuccess({ email, user });
+    res.json(await loginResponse(user, req));
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: error.message });
   }
 });
 
-// Get user profile (protected route)
-router.get('/profile', async (req, res) => {
+// Second login step for accounts with 2FA: a code from the authenticator app
+// or one of the recovery codes
+router.post('/login/2fa', [
+  body('twoFactorToken').isString().notEmpty().withMessage('Two-factor token is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(value => value.code || value.recoveryCode).withMessage('A code or recovery code is required')
+], async (req, res) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
+    const user = await verifyLoginChallenge(req.body.twoFactorToken);
     if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+      return res.status(401).json({ message: 'Login session expired. Please log in again.' });
     }
 
-    res.json(user);
+    const attempt = { email: user.email, ip: req.ip, userAgent: req.get('user-agent'), user };
+    const throttle = await checkLogin(attempt);
+    if (!throttle.allowed) {
+      return tooManyAttempts(res, throttle.retryAfter);
+    }
+    if (throttle.delayMs) {
+      await sleep(throttle.delayMs);
+    }
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      return tooManyAttempts(res, Math.ceil((user.lockedUntil - Date.now()) / 1000));
+    }
+
+    const { code, recoveryCode } = req.body;
+    if (!(await verifySecondFactor(user._id, { code, recoveryCode }))) {
+      const { locked, retryAfter } = await recordFailure(attempt);
+      if (locked) {
+        return tooManyAttempts(res, retryAfter);
+      }
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    if (user.isActive === false) {
+      return res.status(403).json({ message: 'Account is deactivated.' });
+    }
+
+    await recordSuccess({ email: user.email, user });
+    res.json(await loginResponse(user, req));
   } catch (error) {
-    res.status(401).json({ message: 'Invalid token' });
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: error.message });
   }
 });
 
-// Change password
-router.put('/change-password', [
-  body('currentPassword').notEmpty().withMessage('Current password is required'),
-  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+// Exchange a refresh token for a new token pair
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -140,18 +232,67 @@ router.put('/change-password', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    if (!token) {
-      return res.status(401).json({ message: 'Access denied. No token provided.' });
+    const { token, refreshToken, expiresIn } = await rotateRefreshToken(req.body.refreshToken, req);
+    res.json({ token, refreshToken, expiresIn });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Logout: revoke the refresh token for this session
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    await revokeRefreshToken(req.body.refreshToken);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Logout everywhere: invalidate every token the user holds
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await invalidateUserTokens(req.user._id);
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get user profile (protected route)
+router.get('/profile', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('-password');
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Change password. Other devices are logged out; this one gets new tokens.
+router.put('/change-password', auth, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = req.user;
     const { currentPassword, newPassword } = req.body;
 
     // Verify current password
@@ -163,15 +304,177 @@ router.put('/change-password', [
     // Update password (will be hashed by pre-save hook)
     user.password = newPassword;
     await user.save();
+    await invalidateUserTokens(user._id);
+
+    const { token, refreshToken, expiresIn } = await issueTokens(await User.findById(user._id), req);
+
+    sendMailInBackground('passwordChanged', user.email, { name: user.name });
 
-    res.json({ message: 'Password changed successfully' });
+    res.json({
+      message: 'Password changed successfully',
+      token,
+      refreshToken,
+      expiresIn
+    });
   } catch (error) {
     console.error('Change password error:', error);
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ message: 'Invalid token' });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Verify email with a token from the verification email
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await verifyEmail(req.body.token);
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Resend the verification email
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    await resendVerificationEmail(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Forgot password: email a reset link. The response is the same whether or
+// not the email is registered.
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
+
+    await requestPasswordReset(req.body.email);
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Reset password with a token from the reset email
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await resetPassword(req.body.token, req.body.password);
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Two-factor authentication status for the current user
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    res.json(await getTwoFactorStatus(req.user));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Start 2FA enrollment: returns the secret and an otpauth:// URI to show as a
+// QR code
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await startEnrollment(req.user);
+    res.json({ secret, otpauthUrl });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Finish enrollment with a code from the authenticator app. Recovery codes
+// are only shown here.
+router.post('/2fa/confirm', auth, [
+  body('code').isString().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recoveryCodes = await confirmEnrollment(req.user, req.body.code);
+    const { token, refreshToken, expiresIn } = await issueTokens(await User.findById(req.user._id), req);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+      token,
+      refreshToken,
+      expiresIn
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Replace the recovery codes
+router.post('/2fa/recovery-codes', auth, [
+  body('code').isString().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user, req.body.code);
+    res.json({ recoveryCodes });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Turn 2FA off
+router.delete('/2fa', auth, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(value => value.code || value.recoveryCode).withMessage('A code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+    await disableTwoFactor(req.user, { password, code, recoveryCode });
+    const { token, refreshToken, expiresIn } = await issueTokens(await User.findById(req.user._id), req);
+
+    res.json({
+      message: 'Two-factor authentication disabled',
+      token,
+      refreshToken,
+      expiresIn
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 module.exports = router;
@@ -1,146 +1,163 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const Book = require('../models/Book');
+const auth = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/requireVerifiedEmail');
+const { requireFeature, loadSubscription } = require('../middleware/requireFeature');
+const validateBookQuery = require('../middleware/bookQuery');
+const { getBook, listCategories } = require('../services/catalogService');
+const { searchBooks } = require('../services/bookSearchService');
+const { getPdfAccess } = require('../services/entitlementService');
+const {
+  createDownloadLink,
+  verifyDownloadToken,
+  logDownload,
+  downloadFilename
+} = require('../services/pdfDownloadService');
+const { getStorage } = require('../services/storage');
+const { sendError } = require('../utils/httpError');
 
-// Configure multer for PDF uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = '../bookstore-frontend/public/pdfs/';
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+const EXCLUSIVE_FEATURE = 'exclusive_content';
 
-const fileFilter = (req, file, cb) => {
-  if (file.mimetype === 'application/pdf') {
-    cb(null, true);
-  } else {
-    cb(new Error('Only PDF files are allowed'), false);
+// Get all books, with filters, sort options, facet counts and page or
+// cursor pagination (see searchBooks). `search` is matched against the text
+// index, with typos corrected against catalog words.
+router.get('/', validateBookQuery, async (req, res) => {
+  try {
+    res.json(await searchBooks({ ...req.query, exclusive: 'exclude' }));
+  } catch (error) {
+    sendError(res, error);
   }
-};
+});
 
-const upload = multer({ 
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 50 * 1024 * 1024 // 50MB limit
+// Exclusive titles, for subscribers whose plan includes them. Takes the same
+// options as the catalog listing.
+router.get('/exclusive', auth, requireFeature(EXCLUSIVE_FEATURE), validateBookQuery, async (req, res) => {
+  try {
+    res.json(await searchBooks({ ...req.query, exclusive: 'only' }));
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
-// Get all books
-router.get('/', async (req, res) => {
+router.get('/exclusive/:id', auth, requireFeature(EXCLUSIVE_FEATURE), async (req, res) => {
   try {
-    const { page = 1, limit = 10, category, search } = req.query;
-    const query = {};
-    
-    if (category) {
-      query.category = category;
-    }
-    
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { author: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+    const book = await getBook(req.params.id);
+    if (!book.exclusive) {
+      return res.status(404).json({ message: 'Book not found' });
     }
-    
-    const books = await Book.find(query)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
-    
-    const total = await Book.countDocuments(query);
-    
-    res.json({
-      books,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
-    });
+    res.json(book);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
-// Get single book
+// Get single book. Exclusive titles are only served through /exclusive/:id.
 router.get('/:id', async (req, res) => {
   try {
-    const book = await Book.findById(req.params.id);
-    if (!book) {
+    const book = await getBook(req.params.id);
+    if (book.exclusive) {
       return res.status(404).json({ message: 'Book not found' });
     }
     res.json(book);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
-// Create new book
-router.post('/', [
-  body('title').notEmpty().withMessage('Title is required'),
-  body('author').notEmpty().withMessage('Author is required'),
-  body('isbn').notEmpty().withMessage('ISBN is required'),
-  body('price').isNumeric().withMessage('Price must be a number'),
-  body('category').notEmpty().withMessage('Category is required'),
-  body('stock').isNumeric().withMessage('Stock must be a number')
-], async (req, res) => {
+// Issue a short-lived PDF link for req.params.id. Exclusive titles also need
+// the exclusive_content feature.
+const issuePdfLink = ({ download }) => async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+    const book = mongoose.isValidObjectId(req.params.id) ? await Book.findById(req.params.id) : null;
+    if (!book || !book.hasPdf || !book.pdfKey) {
+      return res.status(404).json({ message: 'PDF not available for this book' });
     }
-
-    const book = new Book(req.body);
-    await book.save();
-    res.status(201).json(book);
-  } catch (error) {
-    if (error.code === 11000) {
-      res.status(400).json({ message: 'ISBN already exists' });
-    } else {
-      res.status(500).json({ message: error.message });
+    if (book.exclusive) {
+      const subscription = await loadSubscription(req);
+      if (!subscription || !subscription.hasFeature(EXCLUSIVE_FEATURE)) {
+        return res.status(404).json({ message: 'PDF not available for this book' });
+      }
     }
-  }
-});
 
-// Update book
-router.put('/:id', async (req, res) => {
-  try {
-    const book = await Book.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
-    
-    if (!book) {
-      return res.status(404).json({ message: 'Book not found' });
+    const access = await getPdfAccess(req.user._id, book);
+    if (!access) {
+      return res.status(403).json({
+        message: 'An active subscription with PDF access or a PDF purchase is required',
+        allowPdfPurchase: book.allowPdfPurchase,
+        pdfPrice: book.pdfPrice
+      });
     }
-    
-    res.json(book);
+
+    const link = await createDownloadLink(book, req.user._id.toString(), { download });
+    await logDownload({ user: req.user._id, book: book._id, event: 'link_issued', access, req });
+
+    res.json(link);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
-});
+};
+
+// Get a short-lived link to read a book's PDF
+router.get('/:id/pdf', auth, requireVerifiedEmail('pdf_download'), issuePdfLink({ download: false }));
+
+// Get a short-lived link to download a book's PDF for offline reading
+router.get('/:id/pdf/offline', auth, requireVerifiedEmail('pdf_download'), requireFeature('offline_reading'),
+  issuePdfLink({ download: true }));
 
-// Delete book
-router.delete('/:id', async (req, res) => {
+// Stream a book's PDF using a token from GET /:id/pdf, with range support
+router.get('/:id/pdf/file', async (req, res) => {
   try {
-    const book = await Book.findByIdAndDelete(req.params.id);
-    if (!book) {
-      return res.status(404).json({ message: 'Book not found' });
+    const link = verifyDownloadToken(req.query.token, req.params.id);
+    if (!link) {
+      return res.status(401).json({ message: 'Download link is invalid or has expired' });
+    }
+
+    const book = mongoose.isValidObjectId(req.params.id) ? await Book.findById(req.params.id) : null;
+    if (!book || !book.pdfKey) {
+      return res.status(404).json({ message: 'PDF not available for this book' });
     }
-    res.json({ message: 'Book deleted successfully' });
+
+    const storage = getStorage();
+    const { size } = await storage.stat(book.pdfKey);
+    const ranges = req.range(size);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `${link.download ? 'attachment' : 'inline'}; filename="${downloadFilename(book)}"`,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, no-store'
+    });
+
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+
+    let start = 0;
+    let end = size - 1;
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      ({ start, end } = ranges[0]);
+      res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+    res.set('Content-Length', end - start + 1);
+
+    // Viewers fetch a PDF in many range requests; only log the first one
+    if (start === 0) {
+      await logDownload({ user: link.userId, book: book._id, event: 'file_served', req });
+    }
+
+    const stream = await storage.createReadStream(book.pdfKey, { start, end });
+    stream.on('error', (err) => {
+      console.error('PDF stream error:', err.message);
+      res.destroy(err);
+    });
+    stream.pipe(res);
   } catch (error) {
+    if (error.code === 'ENOENT' || error.name === 'NotFound') {
+      return res.status(404).json({ message: 'PDF file not found' });
+    }
     res.status(500).json({ message: error.message });
   }
 });
@@ -148,7 +165,7 @@ router.delete('/:id', async (req, res) => {
 // Get categories
 router.get('/categories/list', async (req, res) => {
   try {
-    const categories = await Book.distinct('category');
+    const categories = await listCategories();
     res.json(categories);
   } catch (error) {
     res.status(500).json({ message: error.message });
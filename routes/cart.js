@@ -0,0 +1,222 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/requireVerifiedEmail');
+const Book = require('../models/Book');
+const Cart = require('../models/Cart');
+const { createOrder } = require('../services/orderService');
+const { sendError } = require('../utils/httpError');
+
+// Join cart lines with the live catalog: current price, stock, and flags for
+// anything that changed since the item was added
+const buildCartView = async (cart) => {
+  const books = await Book.find({ _id: { $in: cart.items.map(item => item.book) } })
+    .select('title author price stock imageUrl');
+  const booksById = new Map(books.map(book => [book._id.toString(), book]));
+
+  const items = cart.items.map(item => {
+    const book = booksById.get(item.book.toString());
+    if (!book) {
+      return {
+        book: item.book,
+        quantity: item.quantity,
+        priceAtAdd: item.priceAtAdd,
+        unavailable: true
+      };
+    }
+
+    return {
+      book,
+      quantity: item.quantity,
+      price: book.price,
+      priceAtAdd: item.priceAtAdd,
+      priceChanged: book.price !== item.priceAtAdd,
+      availableStock: book.stock,
+      insufficientStock: book.stock < item.quantity,
+      subtotal: book.price * item.quantity
+    };
+  });
+
+  const available = items.filter(item => !item.unavailable);
+  return {
+    items,
+    totalItems: available.reduce((sum, item) => sum + item.quantity, 0),
+    totalAmount: Math.round(available.reduce((sum, item) => sum + item.subtotal, 0) * 100) / 100,
+    hasIssues: items.some(item => item.unavailable || item.priceChanged || item.insufficientStock),
+    updatedAt: cart.updatedAt
+  };
+};
+
+// Get cart
+router.get('/', auth, async (req, res) => {
+  try {
+    const cart = await Cart.forUser(req.user._id);
+    res.json(await buildCartView(cart));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Add item to cart
+router.post('/items', auth, [
+  body('book').isMongoId().withMessage('Invalid book id'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const quantity = parseInt(req.body.quantity) || 1;
+    const book = await Book.findById(req.body.book);
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const cart = await Cart.forUser(req.user._id);
+    const existing = cart.findItem(book._id);
+    if (existing) {
+      existing.quantity += quantity;
+      existing.priceAtAdd = book.price;
+    } else {
+      cart.items.push({ book: book._id, quantity, priceAtAdd: book.price });
+    }
+    await cart.save();
+
+    res.status(201).json(await buildCartView(cart));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Update item quantity
+router.put('/items/:bookId', auth, [
+  param('bookId').isMongoId().withMessage('Invalid book id'),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const cart = await Cart.forUser(req.user._id);
+    const item = cart.findItem(req.params.bookId);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not in cart' });
+    }
+
+    item.quantity = parseInt(req.body.quantity);
+    await cart.save();
+
+    res.json(await buildCartView(cart));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Remove item from cart
+router.delete('/items/:bookId', auth, [
+  param('bookId').isMongoId().withMessage('Invalid book id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const cart = await Cart.forUser(req.user._id);
+    const item = cart.findItem(req.params.bookId);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not in cart' });
+    }
+
+    cart.items.pull(item._id);
+    await cart.save();
+
+    res.json(await buildCartView(cart));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Clear cart
+router.delete('/', auth, async (req, res) => {
+  try {
+    await Cart.updateOne({ user: req.user._id }, { $set: { items: [] } });
+    res.json({ message: 'Cart cleared successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Acknowledge price changes by resetting every line to the current price
+router.post('/refresh', auth, async (req, res) => {
+  try {
+    const cart = await Cart.forUser(req.user._id);
+    const books = await Book.find({ _id: { $in: cart.items.map(item => item.book) } }).select('price');
+    const prices = new Map(books.map(book => [book._id.toString(), book.price]));
+
+    cart.items.forEach(item => {
+      if (prices.has(item.book.toString())) {
+        item.priceAtAdd = prices.get(item.book.toString());
+      }
+    });
+    await cart.save();
+
+    res.json(await buildCartView(cart));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Convert cart into an order
+router.post('/checkout', auth, requireVerifiedEmail('checkout'), [
+  body('shippingAddress').optional().isObject().withMessage('Shipping address must be an object'),
+  body('notes').optional().isString(),
+  body('couponCode').optional().isString().withMessage('Coupon code must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const cart = await Cart.forUser(req.user._id);
+    if (cart.items.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+
+    // Don't charge a different price than the one the user last saw
+    const view = await buildCartView(cart);
+    if (view.items.some(item => item.unavailable || item.priceChanged)) {
+      return res.status(409).json({
+        message: 'Some items in your cart have changed. Please review your cart before checking out.',
+        cart: view
+      });
+    }
+
+    const order = await createOrder({
+      user: req.user,
+      items: cart.items.map(item => ({ book: item.book, quantity: item.quantity })),
+      shippingAddress: req.body.shippingAddress,
+      notes: req.body.notes,
+      couponCode: req.body.couponCode
+    });
+
+    cart.items = [];
+    await cart.save();
+    await order.populate('items.book', 'title author price imageUrl');
+
+    res.status(201).json({
+      message: 'Order placed successfully',
+      order
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
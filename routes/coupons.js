@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const Book = require('../models/Book');
+const Plan = require('../models/Plan');
+const {
+  findUsableCoupon,
+  calculateOrderDiscount,
+  calculateSubscriptionDiscount
+} = require('../services/couponService');
+const { sendError } = require('../utils/httpError');
+
+// Check a coupon code and preview its discount, for an order's items or a
+// subscription plan
+router.post('/validate', auth, [
+  body('code').isString().notEmpty().withMessage('Coupon code is required'),
+  body('plan').optional().isString(),
+  body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.book').optional().isMongoId().withMessage('Invalid book id'),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { code, plan, items } = req.body;
+
+    if (plan) {
+      const selectedPlan = await Plan.findOne({ key: plan, status: 'active' });
+      if (!selectedPlan) {
+        return res.status(400).json({ message: 'Invalid subscription plan' });
+      }
+      const coupon = await findUsableCoupon(code, { userId: req.user._id, scope: 'subscription' });
+      const discount = calculateSubscriptionDiscount(coupon, selectedPlan);
+      return res.json({
+        code: coupon.code,
+        discount,
+        total: Math.round((selectedPlan.price - discount) * 100) / 100
+      });
+    }
+
+    if (!items) {
+      return res.status(400).json({ message: 'Provide items or a plan to validate the coupon against' });
+    }
+
+    const books = await Book.find({ _id: { $in: items.map(item => item.book) } })
+      .select('price pdfPrice');
+    const booksById = new Map(books.map(book => [book._id.toString(), book]));
+    const priced = items
+      .filter(item => booksById.has(item.book))
+      .map(item => {
+        const book = booksById.get(item.book);
+        const isPdf = item.format === 'pdf';
+        return {
+          book: item.book,
+          quantity: isPdf ? 1 : parseInt(item.quantity) || 1,
+          price: isPdf ? book.pdfPrice || 0 : book.price
+        };
+      });
+
+    const coupon = await findUsableCoupon(code, { userId: req.user._id, scope: 'order' });
+    const discount = await calculateOrderDiscount(coupon, priced);
+    const subtotal = Math.round(priced.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100;
+
+    res.json({
+      code: coupon.code,
+      subtotal,
+      discount,
+      total: Math.round((subtotal - discount) * 100) / 100
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Book = require('../models/Book');
+const Order = require('../models/Order');
+const {
+  PDF_FEATURE,
+  findActiveSubscription,
+  findPurchasedPdfBookIds
+} = require('../services/entitlementService');
+
+const EXCLUSIVE_FEATURE = 'exclusive_content';
+
+// Get every ebook the current user can read, through purchase or through
+// their current subscription
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [purchasedIds, subscription] = await Promise.all([
+      findPurchasedPdfBookIds(req.user._id),
+      findActiveSubscription(req.user._id)
+    ]);
+    const hasSubscriptionAccess = Boolean(subscription && subscription.hasFeature(PDF_FEATURE));
+
+    // A subscription unlocks every PDF in the catalog; otherwise only
+    // purchased ones
+    const query = hasSubscriptionAccess
+      ? { hasPdf: true }
+      : { hasPdf: true, _id: { $in: purchasedIds } };
+    // Exclusive titles can only be read on a plan that includes them
+    if (!subscription || !subscription.hasFeature(EXCLUSIVE_FEATURE)) {
+      query.exclusive = { $ne: true };
+    }
+
+    const [books, total] = await Promise.all([
+      Book.find(query)
+        .select('title author category imageUrl publisher publishedDate pdfUrl pdfSize')
+        .sort({ title: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Book.countDocuments(query)
+    ]);
+
+    const purchased = new Set(purchasedIds);
+    const purchaseDates = await Order.aggregate([
+      { $match: { user: req.user._id, paymentStatus: 'paid', status: { $ne: 'cancelled' } } },
+      { $unwind: '$items' },
+      { $match: { 'items.format': 'pdf', 'items.book': { $in: books.map(book => book._id) } } },
+      { $group: { _id: '$items.book', purchasedAt: { $min: '$createdAt' } } }
+    ]);
+    const purchasedAt = new Map(purchaseDates.map(entry => [entry._id.toString(), entry.purchasedAt]));
+
+    res.json({
+      books: books.map(book => ({
+        ...book.toObject(),
+        access: purchased.has(book._id.toString()) ? 'purchase' : 'subscription',
+        purchasedAt: purchasedAt.get(book._id.toString())
+      })),
+      subscription: hasSubscriptionAccess
+        ? { plan: subscription.plan, planName: subscription.planName, endDate: subscription.endDate }
+        : null,
+      purchasedCount: purchasedIds.length,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/requireVerifiedEmail');
+const Order = require('../models/Order');
+const { createOrder, cancelOrder } = require('../services/orderService');
+const { sendError } = require('../utils/httpError');
+
+// Place an order
+router.post('/', auth, requireVerifiedEmail('checkout'), [
+  body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.book').isMongoId().withMessage('Invalid book id'),
+  body('items.*.format').optional().isIn(['print', 'pdf']).withMessage('Format must be print or pdf'),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('shippingAddress').optional().isObject().withMessage('Shipping address must be an object'),
+  body('notes').optional().isString(),
+  body('couponCode').optional().isString().withMessage('Coupon code must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await createOrder({
+      user: req.user,
+      items: req.body.items,
+      shippingAddress: req.body.shippingAddress,
+      notes: req.body.notes,
+      couponCode: req.body.couponCode
+    });
+    await order.populate('items.book', 'title author price imageUrl');
+
+    res.status(201).json({
+      message: 'Order placed successfully',
+      order
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get current user's orders
+router.get('/mine', auth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional()
+    .isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'])
+    .withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const filter = { user: req.user._id };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .populate('items.book', 'title author imageUrl')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(filter)
+    ]);
+
+    res.json({
+      orders,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get single order
+router.get('/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid order id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Orders belonging to someone else are reported as missing
+    const order = await Order.findOne({ _id: req.params.id, user: req.user._id })
+      .populate('items.book', 'title author price imageUrl');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json(order);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Cancel order
+router.put('/:id/cancel', auth, [
+  param('id').isMongoId().withMessage('Invalid order id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await cancelOrder({ orderId: req.params.id, user: req.user._id });
+    await order.populate('items.book', 'title author price imageUrl');
+
+    res.json({
+      message: 'Order cancelled successfully',
+      order
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const { param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { getPaymentProvider } = require('../services/payments');
+const { WebhookSignatureError } = require('../services/payments/signature');
+const { createOrderPayment, findOpenSubscriptionPayment, handleWebhook } = require('../services/paymentService');
+const { sendError } = require('../utils/httpError');
+
+// Start payment for an order
+router.post('/orders/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid order id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, user: req.user._id });
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const payment = await createOrderPayment(order);
+    res.status(201).json({ payment });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// The open payment for a pending subscription, e.g. a renewal the customer
+// was emailed about, for the frontend to complete
+router.get('/subscriptions/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid subscription id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const payment = await findOpenSubscriptionPayment(req.params.id, req.user._id);
+    res.json({ payment });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Payment provider webhook. The signature is checked against the raw body.
+router.post('/webhook', async (req, res) => {
+  try {
+    if (!req.rawBody) {
+      return res.status(400).json({ message: 'Missing request body' });
+    }
+
+    const result = await handleWebhook(req.rawBody, req.headers);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    if (error instanceof WebhookSignatureError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Complete a sandbox payment by delivering a signed webhook for it. Only
+// available with the mock provider outside production.
+router.post('/mock/:paymentId/:outcome', auth, async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+    if (provider.name !== 'mock' || process.env.NODE_ENV === 'production') {
+      return res.status(404).json({ message: 'Not found' });
+    }
+
+    const payment = await Payment.findOne({
+      providerPaymentId: req.params.paymentId,
+      user: req.user._id
+    });
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const { rawBody, headers } = provider.buildWebhook(payment.providerPaymentId, req.params.outcome);
+    const result = await handleWebhook(rawBody, headers);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
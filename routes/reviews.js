@@ -0,0 +1,185 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const Book = require('../models/Book');
+const Review = require('../models/Review');
+const {
+  reviewEligibility,
+  ratingDistribution,
+  createReview,
+  updateReview,
+  deleteReview,
+  voteHelpful,
+  removeHelpfulVote,
+  reportReview
+} = require('../services/reviewService');
+const { sendError } = require('../utils/httpError');
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  rating_high: { rating: -1, createdAt: -1 },
+  rating_low: { rating: 1, createdAt: -1 }
+};
+
+const reviewValidation = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5'),
+    body('title').optional().isString().isLength({ max: 200 }).withMessage('Title must be at most 200 characters'),
+    body('body').optional().isString().isLength({ max: 5000 }).withMessage('Review must be at most 5000 characters')
+  ];
+};
+
+// Published reviews of a book with its rating summary
+router.get('/book/:bookId', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('sort').optional().isIn(Object.keys(REVIEW_SORTS)).withMessage('Invalid sort'),
+  query('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be from 1 to 5')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bookId } = req.params;
+    const book = mongoose.isValidObjectId(bookId)
+      ? await Book.findById(bookId).select('averageRating ratingCount')
+      : null;
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const filter = { book: book._id, status: 'published' };
+    if (req.query.rating) {
+      filter.rating = parseInt(req.query.rating);
+    }
+
+    const [reviews, total, distribution] = await Promise.all([
+      Review.find(filter)
+        .select('-reports')
+        .populate('user', 'name')
+        .sort(REVIEW_SORTS[req.query.sort || 'newest'])
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Review.countDocuments(filter),
+      ratingDistribution(book._id)
+    ]);
+
+    res.json({
+      averageRating: book.averageRating,
+      ratingCount: book.ratingCount,
+      distribution,
+      reviews,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// The current user's review of a book, and whether they may write one
+router.get('/book/:bookId/mine', auth, async (req, res) => {
+  try {
+    const { bookId } = req.params;
+    if (!mongoose.isValidObjectId(bookId)) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const [review, eligibility] = await Promise.all([
+      Review.findOne({ book: bookId, user: req.user._id }).select('-reports'),
+      reviewEligibility(req.user._id, bookId)
+    ]);
+
+    res.json({ review, canReview: !review && Boolean(eligibility) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Review a book the user has received or bought as a PDF
+router.post('/book/:bookId', auth, reviewValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const review = await createReview({ user: req.user, bookId: req.params.bookId, data: req.body });
+    res.status(201).json({ message: 'Review posted', review });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Edit own review
+router.put('/:id', auth, reviewValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const review = await updateReview({ user: req.user, reviewId: req.params.id, data: req.body });
+    res.json({ message: 'Review updated', review });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete own review
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    await deleteReview({ user: req.user, reviewId: req.params.id });
+    res.json({ message: 'Review deleted' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Mark a review as helpful
+router.post('/:id/helpful', auth, async (req, res) => {
+  try {
+    const review = await voteHelpful({ user: req.user, reviewId: req.params.id });
+    res.json({ helpfulCount: review.helpfulCount });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Take back a helpful vote
+router.delete('/:id/helpful', auth, async (req, res) => {
+  try {
+    const review = await removeHelpfulVote({ user: req.user, reviewId: req.params.id });
+    res.json({ helpfulCount: review.helpfulCount });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Report a review to the moderators
+router.post('/:id/report', auth, [
+  body('reason').isString().trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required (at most 500 characters)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await reportReview({ user: req.user, reviewId: req.params.id, reason: req.body.reason });
+    res.json({ message: 'Review reported. Thank you.' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
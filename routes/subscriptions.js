@@ -1,14 +1,44 @@
 const express = require('express');
 const router = express.Router();
+const Plan = require('../models/Plan');
 const Subscription = require('../models/Subscription');
+const { featureName } = require('../config/features');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/requireVerifiedEmail');
+const {
+  createSubscriptionPayment,
+  activateSubscription
+} = require('../services/paymentService');
+const {
+  changePlan,
+  cancelPlanChange,
+  discardPendingSubscriptions
+} = require('../services/subscriptionService');
+const {
+  findUsableCoupon,
+  calculateSubscriptionDiscount,
+  redeemCoupon
+} = require('../services/couponService');
+const { sendError } = require('../utils/httpError');
 
 // Get all subscription plans
-router.get('/plans', (req, res) => {
+router.get('/plans', async (req, res) => {
   try {
-    const plans = Subscription.getPlans();
-    res.json(plans);
+    const plans = await Plan.findAvailable();
+    res.json(plans.reduce((acc, plan) => {
+      acc[plan.key] = {
+        id: plan._id,
+        name: plan.name,
+        price: plan.price,
+        interval: plan.interval,
+        intervalCount: plan.intervalCount,
+        features: plan.features.map(featureName),
+        featureKeys: plan.features,
+        description: plan.description
+      };
+      return acc;
+    }, {}));
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -42,18 +72,17 @@ router.get('/history', auth, async (req, res) => {
   }
 });
 
-// Create new subscription
-router.post('/subscribe', auth, async (req, res) => {
+// Create new subscription. It stays pending until the payment provider
+// confirms payment through the webhook.
+router.post('/subscribe', auth, requireVerifiedEmail('subscribe'), async (req, res) => {
   try {
-    const { plan, paymentId } = req.body;
+    const { plan, couponCode } = req.body;
     
-    if (!plan || !['basic', 'standard', 'premium'].includes(plan)) {
+    const selectedPlan = plan && await Plan.findOne({ key: String(plan), status: 'active' });
+    if (!selectedPlan) {
       return res.status(400).json({ message: 'Invalid subscription plan' });
     }
 
-    const plans = Subscription.getPlans();
-    const selectedPlan = plans[plan];
-
     // Check if user already has an active subscription
     const existingSubscription = await Subscription.findOne({
       user: req.user.id,
@@ -65,33 +94,121 @@ router.post('/subscribe', auth, async (req, res) => {
       return res.status(400).json({ message: 'You already have an active subscription' });
     }
 
-    // Calculate end date
+    let coupon = null;
+    let discount = 0;
+    if (couponCode) {
+      try {
+        coupon = await findUsableCoupon(couponCode, { userId: req.user._id, scope: 'subscription' });
+        discount = calculateSubscriptionDiscount(coupon, selectedPlan);
+      } catch (error) {
+        return sendError(res, error);
+      }
+    }
+
+    // Drop earlier attempts that were never paid for
+    try {
+      await discardPendingSubscriptions(req.user._id);
+    } catch (error) {
+      return sendError(res, error);
+    }
+
+    // Provisional end date; the period starts once payment is confirmed
     const startDate = new Date();
-    const endDate = new Date(startDate.getTime() + (selectedPlan.duration * 24 * 60 * 60 * 1000));
+    const endDate = selectedPlan.periodEnd(startDate);
 
     const subscription = new Subscription({
       user: req.user.id,
-      plan,
+      plan: selectedPlan.key,
       planName: selectedPlan.name,
       price: selectedPlan.price,
       features: selectedPlan.features,
-      status: 'active',
+      billingInterval: selectedPlan.interval,
+      status: 'pending',
       startDate,
       endDate,
-      paymentId
+      autoRenew: true
     });
 
+    if (coupon) {
+      subscription.discount = { coupon: coupon._id, code: coupon.code, amount: discount };
+      subscription.amountCharged = Math.round((selectedPlan.price - discount) * 100) / 100;
+    }
+
     await subscription.save();
+
+    // Redeem once the subscription exists, so a failed save can't use up the
+    // coupon; a refused redemption drops the subscription instead
+    if (coupon) {
+      try {
+        await redeemCoupon(coupon, { userId: req.user._id, subscription: subscription._id, discount });
+      } catch (error) {
+        await Subscription.deleteOne({ _id: subscription._id });
+        return sendError(res, error);
+      }
+    }
+
+    if (subscription.amountDue() === 0) {
+      const activated = await activateSubscription(subscription._id);
+      return res.status(201).json({
+        message: 'Subscription created successfully',
+        subscription: activated
+      });
+    }
+
+    const payment = await createSubscriptionPayment(subscription);
     
     res.status(201).json({
-      message: 'Subscription created successfully',
-      subscription
+      message: 'Subscription created. Complete payment to activate it.',
+      subscription,
+      payment
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
+// Change plan. Upgrades take effect immediately with a prorated charge;
+// downgrades are scheduled for the end of the current period.
+router.put('/change-plan', auth, requireVerifiedEmail('subscribe'), async (req, res) => {
+  try {
+    const { plan } = req.body;
+    if (!plan) {
+      return res.status(400).json({ message: 'Invalid subscription plan' });
+    }
+
+    const result = await changePlan({ userId: req.user._id, planKey: String(plan) });
+
+    if (result.type === 'downgrade') {
+      return res.json({
+        message: 'Plan change scheduled for the end of your current period',
+        ...result
+      });
+    }
+
+    res.json({
+      message: result.payment
+        ? 'Plan upgrade created. Complete payment to activate it.'
+        : 'Plan upgraded successfully',
+      ...result
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Cancel a scheduled plan change
+router.delete('/change-plan', auth, async (req, res) => {
+  try {
+    const subscription = await cancelPlanChange({ userId: req.user._id });
+    res.json({
+      message: 'Scheduled plan change cancelled',
+      subscription
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 // Cancel subscription
 router.put('/cancel', auth, async (req, res) => {
   try {
@@ -121,7 +238,6 @@ router.put('/cancel', auth, async (req, res) => {
 router.put('/auto-renew', auth, async (req, res) => {
   try {
     const { autoRenew } = req.body;
-    
     const subscription = await Subscription.findOne({
       user: req.user.id,
       status: 'active'
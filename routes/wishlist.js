@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const Book = require('../models/Book');
+const Wishlist = require('../models/Wishlist');
+
+// Join wishlist entries with the live catalog, flagging stock and price drops
+const buildWishlistView = async (wishlist) => {
+  const books = await Book.find({ _id: { $in: wishlist.items.map(item => item.book) } })
+    .select('title author price stock imageUrl averageRating ratingCount');
+  const booksById = new Map(books.map(book => [book._id.toString(), book]));
+
+  const items = wishlist.items.map(item => {
+    const preferences = {
+      notifyBackInStock: item.notifyBackInStock,
+      notifyPriceDrop: item.notifyPriceDrop,
+      addedAt: item.addedAt
+    };
+    const book = booksById.get(item.book.toString());
+    if (!book) {
+      return { book: item.book, priceAtAdd: item.priceAtAdd, unavailable: true, ...preferences };
+    }
+
+    return {
+      book,
+      price: book.price,
+      priceAtAdd: item.priceAtAdd,
+      priceDropped: book.price < item.priceAtAdd,
+      inStock: book.stock > 0,
+      ...preferences
+    };
+  });
+
+  return { items, totalItems: items.length, updatedAt: wishlist.updatedAt };
+};
+
+const preferenceValidation = [
+  body('notifyBackInStock').optional().isBoolean().withMessage('notifyBackInStock must be a boolean').toBoolean(),
+  body('notifyPriceDrop').optional().isBoolean().withMessage('notifyPriceDrop must be a boolean').toBoolean()
+];
+
+const applyPreferences = (item, source) => {
+  ['notifyBackInStock', 'notifyPriceDrop'].forEach(field => {
+    if (source[field] !== undefined) {
+      item[field] = source[field];
+    }
+  });
+};
+
+// Get wishlist
+router.get('/', auth, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.forUser(req.user._id);
+    res.json(await buildWishlistView(wishlist));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Add a book to the wishlist
+router.post('/items', auth, [
+  body('book').isMongoId().withMessage('Invalid book id'),
+  ...preferenceValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const book = await Book.findById(req.body.book);
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const wishlist = await Wishlist.forUser(req.user._id);
+    if (!wishlist.findItem(book._id)) {
+      wishlist.items.push({ book: book._id, priceAtAdd: book.price });
+    }
+    applyPreferences(wishlist.findItem(book._id), req.body);
+    await wishlist.save();
+
+    res.status(201).json(await buildWishlistView(wishlist));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Update alert preferences for a book
+router.put('/items/:bookId', auth, [
+  param('bookId').isMongoId().withMessage('Invalid book id'),
+  ...preferenceValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const wishlist = await Wishlist.forUser(req.user._id);
+    const item = wishlist.findItem(req.params.bookId);
+    if (!item) {
+      return res.status(404).json({ message: 'Book not in wishlist' });
+    }
+
+    applyPreferences(item, req.body);
+    await wishlist.save();
+
+    res.json(await buildWishlistView(wishlist));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Remove a book from the wishlist
+router.delete('/items/:bookId', auth, [
+  param('bookId').isMongoId().withMessage('Invalid book id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const wishlist = await Wishlist.forUser(req.user._id);
+    const item = wishlist.findItem(req.params.bookId);
+    if (!item) {
+      return res.status(404).json({ message: 'Book not in wishlist' });
+    }
+
+    wishlist.items.pull(item._id);
+    await wishlist.save();
+
+    res.json(await buildWishlistView(wishlist));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { runSubscriptionLifecycle } = require('./jobs/subscriptionLifecycle');
+
+// One-shot run of the subscription lifecycle job, for cron or serverless
+// deployments where the in-process scheduler doesn't run
+async function runSubscriptionJobs() {
+  let exitCode = 0;
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const summary = await runSubscriptionLifecycle();
+    console.log('Subscription lifecycle completed:', summary);
+  } catch (error) {
+    console.error('Subscription lifecycle error:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+  process.exit(exitCode);
+}
+
+runSubscriptionJobs();
@@ -2,12 +2,23 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 require('dotenv').config();
+const Plan = require('./models/Plan');
+const Role = require('./models/Role');
+const { startSubscriptionScheduler } = require('./jobs/subscriptionLifecycle');
+const { parseTrustProxy } = require('./utils/trustProxy');
 
 const app = express();
+// Client addresses are used for login throttling and audit entries
+app.set('trust proxy', parseTrustProxy());
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body around so payment webhooks can verify signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // MongoDB Connection
@@ -15,14 +26,34 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  Plan.seedDefaults().catch((err) => console.error('Failed to seed subscription plans:', err));
+  Role.seedDefaults().catch((err) => console.error('Failed to seed roles:', err));
+  // Serverless deployments run `npm run jobs:subscriptions` on a schedule instead
+  if (process.env.ENABLE_SCHEDULER !== 'false' && !process.env.VERCEL) {
+    startSubscriptionScheduler();
+  }
+})
 .catch((err) => console.error('MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/books', require('./routes/books'));
+app.use('/api/orders', require('./routes/orders'));
+app.use('/api/cart', require('./routes/cart'));
+app.use('/api/wishlist', require('./routes/wishlist'));
+app.use('/api/library', require('./routes/library'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/coupons', require('./routes/coupons'));
+app.use('/api/reviews', require('./routes/reviews'));
 app.use('/api/subscriptions', require('./routes/subscriptions'));
+app.use('/api/admin/coupons', require('./routes/admin-coupons'));
+app.use('/api/admin/roles', require('./routes/admin-roles'));
+app.use('/api/admin/reviews', require('./routes/admin-reviews'));
+app.use('/api/admin/inventory', require('./routes/admin-inventory'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/admin/subscriptions/plans', require('./routes/admin-plans'));
 app.use('/api/admin/subscriptions', require('./routes/admin-subscriptions'));
 
 // Basic route
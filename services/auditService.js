@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+const SENSITIVE_FIELD = /password|secret|token|hash/i;
+
+const isPlainObject = (value) => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof Date)
+  && !(value instanceof mongoose.Types.ObjectId)
+  && !Buffer.isBuffer(value);
+
+// Plain copy of a document or object, without populated references
+const snapshot = (value) => {
+  if (!value) {
+    return {};
+  }
+  const plain = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Flatten nested objects into dotted paths. Arrays are compared as a whole.
+const flatten = (value, prefix = '', result = {}) => {
+  for (const [key, child] of Object.entries(value)) {
+    if (!prefix && IGNORED_FIELDS.includes(key)) {
+      continue;
+    }
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(child) && Object.keys(child).length > 0) {
+      flatten(child, path, result);
+    } else {
+      result[path] = child;
+    }
+  }
+  return result;
+};
+
+// Field-level differences between two snapshots
+const diff = (before, after) => {
+  const old = flatten(snapshot(before));
+  const current = flatten(snapshot(after));
+  const paths = new Set([...Object.keys(old), ...Object.keys(current)]);
+
+  const changes = [];
+  for (const path of paths) {
+    if (JSON.stringify(old[path]) === JSON.stringify(current[path])) {
+      continue;
+    }
+    const redact = SENSITIVE_FIELD.test(path);
+    changes.push({
+      path,
+      before: redact && old[path] !== undefined ? '[redacted]' : old[path],
+      after: redact && current[path] !== undefined ? '[redacted]' : current[path]
+    });
+  }
+  return changes;
+};
+
+// Record an administrative action by req.user. Pass the entity as it was
+// before and after the change (omit before for creates, after for deletes).
+// The change has already happened, so a failure to log never fails the
+// request.
+const recordAudit = async (req, { action, entityType, entityId, before, after, metadata }) => {
+  try {
+    await AuditLog.create({
+      actor: req.user._id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action,
+      entityType,
+      entityId: entityId !== undefined && entityId !== null ? String(entityId) : undefined,
+      changes: before || after ? diff(before, after) : [],
+      metadata,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error('Failed to record audit log entry:', error.message);
+  }
+};
+
+module.exports = { recordAudit, diff };
@@ -0,0 +1,70 @@
+const { getStorage } = require('./storage');
+
+const pdfKeyFor = (book) => `pdfs/${book._id}-${Date.now()}.pdf`;
+
+// Store an uploaded PDF for a book, replacing any previous file. The old file
+// is only removed once the book points at the new one. The caller cleans up
+// the upload's temp file.
+const attachPdf = async (book, file) => {
+  const storage = getStorage();
+  const previousKey = book.pdfKey;
+  const key = pdfKeyFor(book);
+
+  await storage.save(key, file.path, { contentType: 'application/pdf' });
+
+  book.hasPdf = true;
+  book.pdfKey = key;
+  book.pdfUrl = `/api/books/${book._id}/pdf`;
+  book.pdfSize = file.size;
+  book.pdfOriginalName = file.originalname;
+
+  try {
+    await book.save();
+  } catch (error) {
+    await storage.remove(key).catch(() => {});
+    throw error;
+  }
+
+  if (previousKey && previousKey !== key) {
+    await removeFile(previousKey);
+  }
+
+  return book;
+};
+
+// Remove a book's PDF and clear the PDF fields
+const detachPdf = async (book) => {
+  const key = book.pdfKey;
+
+  book.hasPdf = false;
+  book.pdfKey = undefined;
+  book.pdfUrl = undefined;
+  book.pdfSize = undefined;
+  book.pdfOriginalName = undefined;
+  await book.save();
+
+  if (key) {
+    await removeFile(key);
+  }
+
+  return book;
+};
+
+// Delete a stored file, logging rather than failing the request if storage
+// is unavailable
+const removeFile = async (key) => {
+  try {
+    await getStorage().remove(key);
+  } catch (error) {
+    console.error(`Failed to remove stored file ${key}:`, error.message);
+  }
+};
+
+// Clean up files belonging to a book that has been deleted
+const cleanupDeletedBook = async (book) => {
+  if (book && book.pdfKey) {
+    await removeFile(book.pdfKey);
+  }
+};
+
+module.exports = { attachPdf, detachPdf, cleanupDeletedBook };
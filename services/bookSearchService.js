@@ -0,0 +1,356 @@
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const SearchTerm = require('../models/SearchTerm');
+const { HttpError } = require('../utils/httpError');
+
+// Edges of the price ranges reported as a facet; prices from the last edge up
+// fall into an open-ended range
+const PRICE_BOUNDARIES = [0, 100, 250, 500, 1000];
+const FACET_LIMIT = 20;
+const VOCABULARY_FIELDS = ['title', 'author', 'publisher', 'category'];
+const CANDIDATE_LIMIT = 500;
+
+// Lowercase words of two or more letters or digits
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(token => token.length >= 2);
+
+// Edit distance between two words, giving up once it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Short words have to be spelled right; longer ones may be a letter or two off
+const allowedTypos = (term) => {
+  if (term.length <= 3) return 0;
+  if (term.length <= 6) return 1;
+  return 2;
+};
+
+// Words a book contributes to the search vocabulary
+const vocabularyOf = (book) => new Set(book
+  ? VOCABULARY_FIELDS.flatMap(field => tokenize(book[field]))
+  : []);
+
+// Keep the search vocabulary in step with a catalog write. `before` is the
+// book as it was (null when created) and `after` as it is (null when deleted).
+const updateVocabulary = async (before, after) => {
+  const previous = vocabularyOf(before);
+  const current = vocabularyOf(after);
+  const added = [...current].filter(word => !previous.has(word));
+  const removed = [...previous].filter(word => !current.has(word));
+  if (added.length === 0 && removed.length === 0) {
+    return;
+  }
+
+  await SearchTerm.bulkWrite([
+    ...added.map(word => ({
+      updateOne: {
+        filter: { word },
+        update: { $inc: { books: 1 }, $setOnInsert: { initial: word[0], length: word.length } },
+        upsert: true
+      }
+    })),
+    ...removed.map(word => ({
+      updateOne: { filter: { word }, update: { $inc: { books: -1 } } }
+    }))
+  ], { ordered: false });
+  if (removed.length > 0) {
+    await SearchTerm.deleteMany({ word: { $in: removed }, books: { $lte: 0 } });
+  }
+};
+
+// Vocabulary upkeep shouldn't fail the catalog write it follows; a missed
+// update is fixed by running migrate-search-terms.js
+const updateVocabularyInBackground = (before, after) => {
+  updateVocabulary(before, after).catch(error => {
+    console.error('Failed to update search vocabulary:', error.message);
+  });
+};
+
+// Catalog words that could be a misspelling of term: same first letter and
+// a length within the typos allowed, at most CANDIDATE_LIMIT of them
+const findCandidates = async (term, max) => {
+  const terms = await SearchTerm.find({
+    initial: term[0],
+    length: { $gte: term.length - max, $lte: term.length + max }
+  }, 'word').limit(CANDIDATE_LIMIT).lean();
+  return terms.map(entry => entry.word);
+};
+
+// Closest catalog word to a term the catalog doesn't contain, if any is close
+// enough to be a typo
+const correctTerm = (term, words) => {
+  const max = allowedTypos(term);
+  let best = null;
+  let bestDistance = max + 1;
+  for (const word of words) {
+    const distance = editDistance(term, word, Math.min(max, bestDistance));
+    if (distance < bestDistance) {
+      best = word;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= max ? best : null;
+};
+
+// Search terms plus corrections for any that look misspelled. The original
+// terms are kept so words only found in descriptions still match.
+const expandSearchTerms = async (search) => {
+  const terms = [...new Set(tokenize(search))];
+  const corrections = {};
+
+  for (const term of terms) {
+    const max = allowedTypos(term);
+    if (max > 0 && !await SearchTerm.exists({ word: term })) {
+      const corrected = correctTerm(term, await findCandidates(term, max));
+      if (corrected) {
+        corrections[term] = corrected;
+      }
+    }
+  }
+
+  return {
+    terms: [...new Set([...terms, ...Object.values(corrections)])],
+    corrections
+  };
+};
+
+const countBy = (field) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: FACET_LIMIT },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+const formatPriceRanges = (buckets) => buckets.map(bucket => {
+  const index = PRICE_BOUNDARIES.indexOf(bucket._id);
+  return {
+    min: bucket._id === 'other' ? PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1] : bucket._id,
+    max: bucket._id === 'other' ? null : PRICE_BOUNDARIES[index + 1],
+    count: bucket.count
+  };
+});
+
+// Sort options for listings. Each sorts on one indexed field, with _id
+// breaking ties so cursors are stable. Relevance is the text score, which
+// only applies to text searches.
+const SORTS = {
+  relevance: { field: 'score', direction: -1 },
+  newest: { field: 'createdAt', direction: -1 },
+  price_asc: { field: 'price', direction: 1 },
+  price_desc: { field: 'price', direction: -1 },
+  title: { field: 'title', direction: 1 },
+  bestselling: { field: 'salesCount', direction: -1 },
+  rating: { field: 'averageRating', direction: -1 }
+};
+const SORT_OPTIONS = Object.keys(SORTS);
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const ISBN_PATTERN = /^[0-9Xx-]{10,17}$/;
+
+// Cursors carry the sort and the last book's position, base64url encoded
+const encodeCursor = (sort, book) => {
+  const position = book[SORTS[sort].field];
+  let value = position === undefined ? null : position;
+  if (position instanceof Date) {
+    value = { date: position.toISOString() };
+  }
+  return Buffer.from(JSON.stringify({ sort, value, id: String(book._id) })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (decoded.sort !== sort || !mongoose.isValidObjectId(decoded.id)) {
+      throw new Error('Cursor does not match the query');
+    }
+    const value = decoded.value && decoded.value.date ? new Date(decoded.value.date) : decoded.value;
+    return { value, id: new mongoose.Types.ObjectId(decoded.id) };
+  } catch (error) {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+};
+
+// Books after the cursor position in sort order. Books missing the field sort
+// before every value ascending and after every value descending.
+const afterCursor = (field, { value, id }, direction) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  const after = [{ [field]: value, _id: { [op]: id } }];
+  if (value === null) {
+    if (direction === 1) after.push({ [field]: { $ne: null } });
+  } else {
+    after.push({ [field]: { [op]: value } });
+    if (direction === -1) after.push({ [field]: null });
+  }
+  return { $or: after };
+};
+
+// Filter for every option except the search string
+const buildFilter = (options) => {
+  const filter = {};
+
+  if (options.category) filter.category = options.category;
+  if (options.author) filter.author = options.author;
+  if (options.publisher) filter.publisher = options.publisher;
+  if (options.inStock) filter.stock = { $gt: 0 };
+  if (options.hasPdf !== undefined) {
+    filter.hasPdf = options.hasPdf ? true : { $ne: true };
+  }
+  if (options.minPrice !== undefined || options.maxPrice !== undefined) {
+    filter.price = {};
+    if (options.minPrice !== undefined) filter.price.$gte = options.minPrice;
+    if (options.maxPrice !== undefined) filter.price.$lte = options.maxPrice;
+  }
+  if (options.minRating !== undefined) filter.averageRating = { $gte: options.minRating };
+  // Exclusive titles are listed separately, for subscribers only
+  if (options.exclusive === 'exclude') filter.exclusive = { $ne: true };
+  if (options.exclusive === 'only') filter.exclusive = true;
+  if (options.publishedFrom || options.publishedTo) {
+    filter.publishedDate = {};
+    if (options.publishedFrom) filter.publishedDate.$gte = options.publishedFrom;
+    if (options.publishedTo) filter.publishedDate.$lte = options.publishedTo;
+  }
+
+  return filter;
+};
+
+// List catalog books. This is the query layer behind both the public and the
+// admin books listings.
+//
+// With a search string, books are matched against the weighted text index
+// and ordered by relevance unless another sort is asked for; an ISBN is
+// matched exactly instead. Pass `cursor` (the previous response's
+// `nextCursor`) for infinite scroll, or `page` for numbered pages. Facet
+// counts cover every matching book, not just the current page.
+const searchBooks = async (options = {}) => {
+  const match = buildFilter(options);
+  const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const page = Math.max(parseInt(options.page) || 1, 1);
+  const search = options.search ? String(options.search).trim() : '';
+  let corrections = {};
+
+  if (ISBN_PATTERN.test(search)) {
+    match.isbn = { $in: [search, search.replace(/-/g, '')] };
+  } else if (search) {
+    const expanded = await expandSearchTerms(search);
+    corrections = expanded.corrections;
+    // Nothing searchable, e.g. only punctuation
+    if (expanded.terms.length === 0) {
+      match._id = null;
+    } else {
+      match.$text = { $search: expanded.terms.join(' ') };
+    }
+  }
+
+  let sortKey = options.sort || (match.$text ? 'relevance' : 'newest');
+  if (!SORTS[sortKey]) {
+    throw new HttpError(400, `Sort must be one of: ${SORT_OPTIONS.join(', ')}`);
+  }
+  // Relevance only means something for a text search
+  if (sortKey === 'relevance' && !match.$text) {
+    sortKey = 'newest';
+  }
+  const sort = SORTS[sortKey];
+  const cursor = options.cursor ? decodeCursor(options.cursor, sortKey) : null;
+
+  // The page is sorted on its own so the sort can use an index; facets are
+  // counted separately over every matching book
+  const books = [
+    { $match: match },
+    ...(match.$text ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+    ...(cursor ? [{ $match: afterCursor(sort.field, cursor, sort.direction) }] : []),
+    { $sort: { [sort.field]: sort.direction, _id: sort.direction } },
+    ...(cursor ? [] : [{ $skip: (page - 1) * limit }]),
+    // One extra to tell whether there's another page
+    { $limit: limit + 1 }
+  ];
+
+  const [found, [result]] = await Promise.all([
+    Book.aggregate(books),
+    Book.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          categories: countBy('category'),
+          authors: countBy('author'),
+          publishers: countBy('publisher'),
+          priceRanges: [
+            {
+              $bucket: {
+                groupBy: '$price',
+                boundaries: PRICE_BOUNDARIES,
+                default: 'other',
+                output: { count: { $sum: 1 } }
+              }
+            }
+          ],
+          hasPdf: [
+            { $group: { _id: { $eq: ['$hasPdf', true] }, count: { $sum: 1 } } }
+          ]
+        }
+      }
+    ])
+  ]);
+
+  const hasMore = found.length > limit;
+  const pageBooks = found.slice(0, limit);
+  const nextCursor = hasMore ? encodeCursor(sortKey, pageBooks[pageBooks.length - 1]) : null;
+
+  const total = result.total[0] ? result.total[0].count : 0;
+  const withPdf = result.hasPdf.find(bucket => bucket._id === true);
+  const withoutPdf = result.hasPdf.find(bucket => bucket._id === false);
+
+  return {
+    books: pageBooks,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: cursor ? null : page,
+    limit,
+    sort: sortKey,
+    nextCursor,
+    corrections,
+    facets: {
+      categories: result.categories,
+      authors: result.authors,
+      publishers: result.publishers,
+      priceRanges: formatPriceRanges(result.priceRanges),
+      hasPdf: {
+        true: withPdf ? withPdf.count : 0,
+        false: withoutPdf ? withoutPdf.count : 0
+      }
+    }
+  };
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  MAX_LIMIT,
+  searchBooks,
+  expandSearchTerms,
+  vocabularyOf,
+  updateVocabulary,
+  updateVocabularyInBackground
+};
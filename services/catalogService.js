@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const { cleanupDeletedBook } = require('./bookPdfService');
+const { updateVocabularyInBackground } = require('./bookSearchService');
+const { notifyWishlistChangesInBackground } = require('./wishlistAlertService');
+const { recordMovement, setStock } = require('./inventoryService');
+const { HttpError } = require('../utils/httpError');
+
+// Fields admins may set directly. PDF storage fields are managed by
+// bookPdfService and never come from a request body. Stock only changes
+// through the inventory ledger.
+const BOOK_FIELDS = [
+  'title', 'author', 'isbn', 'price', 'description', 'category',
+  'imageUrl', 'publishedDate', 'publisher', 'pdfPrice', 'allowPdfPurchase', 'exclusive', 'reorderThreshold'
+];
+
+const pickBookFields = (source) => BOOK_FIELDS.reduce((acc, field) => {
+  if (source[field] !== undefined) {
+    acc[field] = source[field];
+  }
+  return acc;
+}, {});
+
+// Turn save failures callers can fix into 400s
+const toHttpError = (error) => {
+  if (error.code === 11000) {
+    return new HttpError(400, 'ISBN already exists');
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new HttpError(400, error.message);
+  }
+  return error;
+};
+
+// Save a book and bring the search vocabulary up to date; `before` is the book
+// as it was, null for a new one
+const saveBook = async (book, before = null) => {
+  try {
+    await book.save();
+  } catch (error) {
+    throw toHttpError(error);
+  }
+  updateVocabularyInBackground(before, book);
+  return book;
+};
+
+// Check changes to a book before anything is written
+const validateBook = async (book) => {
+  try {
+    await book.validate();
+  } catch (error) {
+    throw toHttpError(error);
+  }
+  if (book.isModified('isbn') && await Book.exists({ isbn: book.isbn, _id: { $ne: book._id } })) {
+    throw new HttpError(400, 'ISBN already exists');
+  }
+};
+
+const getBook = async (id) => {
+  const book = mongoose.isValidObjectId(id) ? await Book.findById(id) : null;
+  if (!book) {
+    throw new HttpError(404, 'Book not found');
+  }
+  return book;
+};
+
+// Create a book. Opening stock is recorded as a receipt by `actor`.
+const createBook = async (data, { actor } = {}) => {
+  const book = await saveBook(new Book({ ...pickBookFields(data), stock: 0 }));
+  if (data.stock > 0) {
+    const received = await recordMovement({
+      book: book._id,
+      type: 'receipt',
+      quantity: data.stock,
+      actor,
+      reason: 'Opening stock'
+    });
+    return received.book;
+  }
+  return book;
+};
+
+// Apply whitelisted fields to a book; returns the book as it was and as it is.
+// A new `stock` is recorded as an adjustment by `actor`, with `stockReason`.
+// The other fields are validated before stock moves and saved after, so a
+// refused stock change leaves the book untouched. Restocks and price drops
+// alert customers who wishlisted the book.
+const updateBook = async (id, data, { actor } = {}) => {
+  const book = await getBook(id);
+  const before = book.toObject();
+  book.set(pickBookFields(data));
+  await validateBook(book);
+
+  const adjusted = data.stock !== undefined
+    ? await setStock({ book: book._id, stock: data.stock, actor, reason: data.stockReason })
+    : null;
+
+  await saveBook(book, before);
+  notifyWishlistChangesInBackground(before, book);
+  if (adjusted) {
+    // Reflect the ledger's stock in the response only; stock is never saved
+    // from a loaded document
+    book.set('stock', adjusted.book.stock);
+  }
+  return { before, book };
+};
+
+// Delete a book and its stored PDF
+const deleteBook = async (id) => {
+  const book = await getBook(id);
+  await Book.deleteOne({ _id: book._id });
+  updateVocabularyInBackground(book, null);
+  await cleanupDeletedBook(book);
+  return book;
+};
+
+const listCategories = () => Book.distinct('category');
+
+// Add (or with -1, remove) an order's copies to each book's sales count
+const recordSales = async (items, direction = 1) => {
+  if (items.length === 0) {
+    return;
+  }
+  await Book.bulkWrite(items.map(item => ({
+    updateOne: {
+      filter: { _id: item.book },
+      update: { $inc: { salesCount: direction * item.quantity } }
+    }
+  })));
+};
+
+module.exports = {
+  BOOK_FIELDS,
+  getBook,
+  createBook,
+  updateBook,
+  deleteBook,
+  listCategories,
+  recordSales
+};
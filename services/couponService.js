@@ -0,0 +1,149 @@
+const Book = require('../models/Book');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const CouponUsage = require('../models/CouponUsage');
+const { HttpError } = require('../utils/httpError');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Look up a coupon and check it can be used by this user for this kind of
+// purchase. Usage limits are checked again atomically when redeeming.
+const findUsableCoupon = async (code, { userId, scope, now = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon || !coupon.isActive) {
+    throw new HttpError(400, 'Invalid coupon code');
+  }
+  if (coupon.appliesTo !== 'both' && coupon.appliesTo !== scope) {
+    throw new HttpError(400, `This coupon cannot be used for ${scope === 'order' ? 'orders' : 'subscriptions'}`);
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new HttpError(400, 'This coupon is not active yet');
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw new HttpError(400, 'This coupon has expired');
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new HttpError(400, 'This coupon has reached its usage limit');
+  }
+
+  const usage = await CouponUsage.findOne({ coupon: coupon._id, user: userId });
+  if (usage && usage.count >= coupon.perUserLimit) {
+    throw new HttpError(400, 'You have already used this coupon');
+  }
+
+  return coupon;
+};
+
+// Discount on priced order lines. With category or book restrictions only
+// matching lines count towards the discount; the minimum order amount
+// applies to the whole subtotal.
+const calculateOrderDiscount = async (coupon, items) => {
+  const subtotal = roundCurrency(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+  if (subtotal < coupon.minOrderAmount) {
+    throw new HttpError(400, `This coupon requires a minimum order of ${coupon.minOrderAmount}`);
+  }
+
+  let eligible = items;
+  if (coupon.categories.length > 0 || coupon.books.length > 0) {
+    const books = await Book.find({ _id: { $in: items.map(item => item.book) } }).select('category');
+    const categories = new Map(books.map(book => [book._id.toString(), book.category]));
+    const couponBooks = new Set(coupon.books.map(id => id.toString()));
+
+    eligible = items.filter(item =>
+      couponBooks.has(item.book.toString()) ||
+      coupon.categories.includes(categories.get(item.book.toString()))
+    );
+  }
+
+  if (eligible.length === 0) {
+    throw new HttpError(400, 'This coupon does not apply to any items in your order');
+  }
+
+  const eligibleAmount = eligible.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  return coupon.discountFor(eligibleAmount);
+};
+
+// Discount on a subscription plan's price
+const calculateSubscriptionDiscount = (coupon, plan) => {
+  if (coupon.plans.length > 0 && !coupon.plans.includes(plan.key)) {
+    throw new HttpError(400, 'This coupon does not apply to this plan');
+  }
+  if (plan.price < coupon.minOrderAmount) {
+    throw new HttpError(400, `This coupon requires a minimum amount of ${coupon.minOrderAmount}`);
+  }
+  return coupon.discountFor(plan.price);
+};
+
+// Count a use against the user's limit. The counter only moves while under
+// the limit; when it's at the limit the filter misses and the upsert collides
+// with the existing counter.
+const claimUserUse = async (coupon, userId) => {
+  try {
+    await CouponUsage.updateOne(
+      { coupon: coupon._id, user: userId, count: { $lt: coupon.perUserLimit } },
+      { $inc: { count: 1 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new HttpError(400, 'You have already used this coupon');
+    }
+    throw error;
+  }
+};
+
+const releaseUserUse = (couponId, userId) => CouponUsage.updateOne(
+  { coupon: couponId, user: userId, count: { $gt: 0 } },
+  { $inc: { count: -1 } }
+);
+
+const releaseUse = (couponId) => Coupon.updateOne(
+  { _id: couponId, usedCount: { $gt: 0 } },
+  { $inc: { usedCount: -1 } }
+);
+
+// Record a coupon use. The per-user and global counters only move while under
+// their limits, so concurrent checkouts can't exceed either; if a later step
+// fails the earlier ones are given back.
+const redeemCoupon = async (coupon, { userId, order, subscription, discount }) => {
+  await claimUserUse(coupon, userId);
+
+  const filter = { _id: coupon._id, isActive: true };
+  if (coupon.usageLimit) {
+    filter.usedCount = { $lt: coupon.usageLimit };
+  }
+
+  let claimed = false;
+  try {
+    claimed = Boolean(await Coupon.findOneAndUpdate(filter, { $inc: { usedCount: 1 } }));
+    if (!claimed) {
+      throw new HttpError(400, 'This coupon has reached its usage limit');
+    }
+    return await CouponRedemption.create({ coupon: coupon._id, user: userId, order, subscription, discount });
+  } catch (error) {
+    if (claimed) {
+      await releaseUse(coupon._id);
+    }
+    await releaseUserUse(coupon._id, userId);
+    throw error;
+  }
+};
+
+// Give back coupon uses for a cancelled order or an abandoned subscription
+const releaseRedemptions = async (filter) => {
+  const redemptions = await CouponRedemption.find(filter);
+  for (const redemption of redemptions) {
+    await CouponRedemption.deleteOne({ _id: redemption._id });
+    await releaseUse(redemption.coupon);
+    await releaseUserUse(redemption.coupon, redemption.user);
+  }
+};
+
+module.exports = {
+  findUsableCoupon,
+  calculateOrderDiscount,
+  calculateSubscriptionDiscount,
+  redeemCoupon,
+  releaseRedemptions
+};
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { sendMailInBackground } = require('./mailer');
+const { HttpError } = require('../utils/httpError');
+
+const verificationTtlHours = () => parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+const RESEND_INTERVAL_MS = 60 * 1000;
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new verification token and email the link
+const sendVerificationEmail = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresHours = verificationTtlHours();
+
+  await User.updateOne({ _id: user._id }, {
+    emailVerificationTokenHash: hashToken(token),
+    emailVerificationExpires: new Date(Date.now() + expiresHours * 60 * 60 * 1000),
+    emailVerificationSentAt: new Date()
+  });
+
+  sendMailInBackground('emailVerification', user.email, {
+    name: user.name,
+    verifyUrl: `${appUrl()}/verify-email?token=${token}`,
+    expiresHours
+  });
+};
+
+// Send the link again, at most once a minute
+const resendVerificationEmail = async (user) => {
+  if (user.isEmailVerified()) {
+    throw new HttpError(400, 'Email is already verified');
+  }
+  if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt < RESEND_INTERVAL_MS) {
+    throw new HttpError(429, 'Please wait a minute before requesting another verification email');
+  }
+  await sendVerificationEmail(user);
+};
+
+// Mark the email verified. Tokens are single use.
+const verifyEmail = async (token) => {
+  const user = await User.findOneAndUpdate(
+    {
+      emailVerificationTokenHash: hashToken(String(token)),
+      emailVerificationExpires: { $gt: new Date() }
+    },
+    {
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      $unset: { emailVerificationTokenHash: 1, emailVerificationExpires: 1 }
+    },
+    { new: true }
+  );
+  if (!user) {
+    throw new HttpError(400, 'Invalid or expired verification token');
+  }
+  return user;
+};
+
+module.exports = { sendVerificationEmail, resendVerificationEmail, verifyEmail };
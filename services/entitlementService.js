@@ -0,0 +1,58 @@
+const Order = require('../models/Order');
+const { findActiveSubscription } = require('./subscriptionService');
+
+const PDF_FEATURE = 'pdf_access';
+
+// Ids of books whose PDF edition the user has paid for, optionally limited
+// to the given books. Cancelled orders don't count.
+const findPurchasedPdfBookIds = async (userId, bookIds) => {
+  const match = {
+    user: userId,
+    status: { $ne: 'cancelled' },
+    paymentStatus: 'paid',
+    items: { $elemMatch: { format: 'pdf' } }
+  };
+  if (bookIds) {
+    match.items.$elemMatch.book = { $in: bookIds };
+  }
+
+  const orders = await Order.find(match).select('items');
+  const wanted = bookIds ? new Set(bookIds.map(String)) : null;
+  const owned = new Set();
+
+  orders.forEach(order => order.items.forEach(item => {
+    const id = item.book.toString();
+    if (item.format === 'pdf' && (!wanted || wanted.has(id))) {
+      owned.add(id);
+    }
+  }));
+
+  return Array.from(owned);
+};
+
+// Work out whether a user may read a book's PDF, and through what. Returns
+// the access type ('purchase' or 'subscription') or null.
+const getPdfAccess = async (userId, book) => {
+  if (!book.hasPdf) {
+    return null;
+  }
+
+  const purchased = await findPurchasedPdfBookIds(userId, [book._id]);
+  if (purchased.length > 0) {
+    return 'purchase';
+  }
+
+  const subscription = await findActiveSubscription(userId);
+  if (subscription && subscription.hasFeature(PDF_FEATURE)) {
+    return 'subscription';
+  }
+
+  return null;
+};
+
+module.exports = {
+  PDF_FEATURE,
+  findActiveSubscription,
+  findPurchasedPdfBookIds,
+  getPdfAccess
+};
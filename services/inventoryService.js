@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const StockMovement = require('../models/StockMovement');
+const { HttpError } = require('../utils/httpError');
+const { notifyWishlistChangesInBackground } = require('./wishlistAlertService');
+
+// Which way each movement type moves stock. Adjustments correct a count in
+// either direction.
+const DIRECTIONS = {
+  receipt: 1,
+  return: 1,
+  sale: -1,
+  damage: -1,
+  adjustment: 0
+};
+
+const MOVEMENT_TYPES = Object.keys(DIRECTIONS);
+
+// Only new or recounted copies count as back in stock. Returns mostly undo a
+// checkout that failed or was cancelled moments ago, and alerting on those
+// would tell wishlisters about a copy that was never really gone.
+const RESTOCK_TYPES = ['receipt', 'adjustment'];
+
+// Books with no reorderThreshold of their own use this
+const defaultReorderThreshold = () => {
+  const threshold = parseInt(process.env.LOW_STOCK_THRESHOLD);
+  return Number.isNaN(threshold) ? 5 : threshold;
+};
+
+// Turn a count of copies into a signed change for the movement type.
+// Adjustments are already signed.
+const signedQuantity = (type, quantity) => {
+  if (!MOVEMENT_TYPES.includes(type)) {
+    throw new HttpError(400, 'Invalid movement type', { type });
+  }
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    throw new HttpError(400, 'Quantity must be a non-zero integer');
+  }
+  return DIRECTIONS[type] === 0 ? quantity : DIRECTIONS[type] * Math.abs(quantity);
+};
+
+// Apply a stock change to the book matching `filter` and write its ledger
+// entry. MongoDB transactions need a replica set, so instead a failed ledger
+// write undoes the stock change: stock never moves without a movement.
+// Returns null if no book matched. Alerts wishlists when a restock brings the
+// book back into stock.
+const applyMovement = async (filter, { type, quantity, actor, order, reason }) => {
+  const book = await Book.findOneAndUpdate(filter, { $inc: { stock: quantity } }, { new: true });
+  if (!book) {
+    return null;
+  }
+
+  let movement;
+  try {
+    movement = await StockMovement.create({
+      book: book._id,
+      type,
+      quantity,
+      stockAfter: book.stock,
+      actor,
+      order,
+      reason
+    });
+  } catch (error) {
+    await Book.updateOne({ _id: book._id }, { $inc: { stock: -quantity } });
+    throw error;
+  }
+
+  const stockBefore = book.stock - quantity;
+  if (RESTOCK_TYPES.includes(type) && stockBefore <= 0 && book.stock > 0) {
+    notifyWishlistChangesInBackground({ stock: stockBefore, price: book.price }, book);
+  }
+  return { book, movement };
+};
+
+// Apply a stock change and record it. Outgoing movements only apply where
+// enough copies remain; the conditional update is atomic per book.
+const recordMovement = async ({ book, type, quantity, actor, order, reason }) => {
+  const change = signedQuantity(type, quantity);
+  const filter = { _id: book };
+  if (change < 0) {
+    filter.stock = { $gte: -change };
+  }
+
+  const result = await applyMovement(filter, { type, quantity: change, actor, order, reason });
+  if (!result) {
+    const existing = mongoose.isValidObjectId(book) ? await Book.findById(book).select('title stock') : null;
+    if (!existing) {
+      throw new HttpError(404, 'Book not found', { book });
+    }
+    throw new HttpError(409, `Insufficient stock for "${existing.title}"`, {
+      book,
+      available: existing.stock,
+      requested: -change
+    });
+  }
+  return result;
+};
+
+// Set a book's stock to a counted total, recording the difference as an
+// adjustment. Fails if the stock changes between reading and writing, so a
+// concurrent sale is never overwritten.
+const setStock = async ({ book, stock, actor, reason }) => {
+  const current = await Book.findById(book).select('stock');
+  if (!current) {
+    throw new HttpError(404, 'Book not found', { book });
+  }
+  const change = stock - current.stock;
+  if (change === 0) {
+    return null;
+  }
+
+  const result = await applyMovement({ _id: current._id, stock: current.stock }, {
+    type: 'adjustment',
+    quantity: change,
+    actor,
+    reason: reason || 'Stock count corrected'
+  });
+  if (!result) {
+    throw new HttpError(409, 'Stock changed while it was being updated. Please try again.');
+  }
+  return result;
+};
+
+// Books at or below their reorder threshold
+const lowStockFilter = () => ({
+  $expr: { $lte: ['$stock', { $ifNull: ['$reorderThreshold', defaultReorderThreshold()] }] }
+});
+
+const lowStockReport = async ({ category, page = 1, limit = 50 } = {}) => {
+  const match = lowStockFilter();
+  if (category) {
+    match.category = category;
+  }
+
+  const [result] = await Book.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        reorderThreshold: { $ifNull: ['$reorderThreshold', defaultReorderThreshold()] }
+      }
+    },
+    {
+      $facet: {
+        books: [
+          { $sort: { stock: 1, salesCount: -1, title: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              title: 1,
+              author: 1,
+              isbn: 1,
+              category: 1,
+              stock: 1,
+              reorderThreshold: 1,
+              salesCount: 1,
+              shortfall: { $subtract: ['$reorderThreshold', '$stock'] }
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const total = result.total[0]?.count || 0;
+  return {
+    books: result.books,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    total,
+    defaultReorderThreshold: defaultReorderThreshold()
+  };
+};
+
+// Counts for the admin dashboard
+const lowStockCounts = async () => {
+  const [lowStock, outOfStock] = await Promise.all([
+    Book.countDocuments(lowStockFilter()),
+    Book.countDocuments({ stock: { $lte: 0 } })
+  ]);
+  return { lowStock, outOfStock };
+};
+
+module.exports = {
+  MOVEMENT_TYPES,
+  recordMovement,
+  setStock,
+  lowStockReport,
+  lowStockCounts
+};
@@ -0,0 +1,131 @@
+const User = require('../../models/User');
+const MemoryStore = require('./memoryStore');
+const MongoStore = require('./mongoStore');
+
+const RECENT_FAILURES_KEPT = 10;
+
+let store;
+
+// Build the store selected by LOGIN_THROTTLE_STORE (memory or mongo). The
+// memory store only sees one instance's attempts, so production defaults to
+// the shared mongo store.
+const createStore = (env = process.env) => {
+  switch (env.LOGIN_THROTTLE_STORE || (env.NODE_ENV === 'production' ? 'mongo' : 'memory')) {
+    case 'memory':
+      return new MemoryStore();
+    case 'mongo':
+      return new MongoStore();
+    default:
+      throw new Error(`Unknown login throttle store: ${env.LOGIN_THROTTLE_STORE}`);
+  }
+};
+
+const getStore = () => {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+};
+
+const setStore = (instance) => {
+  store = instance;
+};
+
+const config = () => ({
+  maxAccountAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  maxIpAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+  windowMs: (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000,
+  lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+  baseDelayMs: 250,
+  maxDelayMs: 5000
+});
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const retryAfterSeconds = (until) => Math.max(1, Math.ceil((until - Date.now()) / 1000));
+
+// Decide whether a login attempt may proceed. Locked accounts and addresses
+// are refused; otherwise earlier failures add a growing delay.
+const checkLogin = async ({ email, ip }) => {
+  const now = new Date();
+  const { baseDelayMs, maxDelayMs } = config();
+  const [account, address] = await Promise.all([
+    getStore().get(accountKey(email)),
+    getStore().get(ipKey(ip))
+  ]);
+
+  for (const entry of [account, address]) {
+    if (entry && entry.lockedUntil && entry.lockedUntil > now) {
+      return { allowed: false, retryAfter: retryAfterSeconds(entry.lockedUntil) };
+    }
+  }
+
+  const failures = Math.max(account ? account.count : 0, address ? address.count : 0);
+  const delayMs = failures > 0 ? Math.min(baseDelayMs * 2 ** (failures - 1), maxDelayMs) : 0;
+  return { allowed: true, delayMs };
+};
+
+// Count a failed login against the account and the address, locking either
+// once it passes its threshold. Failures on real accounts are also recorded
+// on the user so admins can see them.
+const recordFailure = async ({ email, ip, userAgent, user }) => {
+  const { maxAccountAttempts, maxIpAttempts, windowMs, lockoutMs } = config();
+  const ttlMs = Math.max(windowMs, lockoutMs);
+  const lockedUntil = new Date(Date.now() + lockoutMs);
+
+  const [account, address] = await Promise.all([
+    getStore().increment(accountKey(email), { windowMs, ttlMs }),
+    getStore().increment(ipKey(ip), { windowMs, ttlMs })
+  ]);
+
+  const lockAccount = account.count >= maxAccountAttempts;
+  if (lockAccount) {
+    await getStore().lock(accountKey(email), lockedUntil);
+  }
+  if (address.count >= maxIpAttempts) {
+    await getStore().lock(ipKey(ip), lockedUntil);
+  }
+
+  if (user) {
+    const update = {
+      $inc: { failedLoginAttempts: 1 },
+      $push: {
+        recentFailedLogins: {
+          $each: [{ at: new Date(), ip, userAgent }],
+          $slice: -RECENT_FAILURES_KEPT
+        }
+      }
+    };
+    if (lockAccount) {
+      update.$set = { lockedUntil };
+    }
+    await User.updateOne({ _id: user._id }, update);
+  }
+
+  return { locked: lockAccount, retryAfter: lockAccount ? retryAfterSeconds(lockedUntil) : undefined };
+};
+
+// Clear the account's counter after a successful login. The address keeps
+// its count so an attacker can't reset it by logging into their own account.
+const recordSuccess = async ({ email, user }) => {
+  await getStore().reset(accountKey(email));
+  if (user.failedLoginAttempts || user.lockedUntil) {
+    await User.updateOne({ _id: user._id }, { $set: { failedLoginAttempts: 0 }, $unset: { lockedUntil: 1 } });
+  }
+};
+
+// Lift a lockout on a user's account
+const unlockAccount = async (user) => {
+  await getStore().reset(accountKey(user.email));
+  await User.updateOne({ _id: user._id }, { $set: { failedLoginAttempts: 0 }, $unset: { lockedUntil: 1 } });
+};
+
+module.exports = {
+  createStore,
+  setStore,
+  checkLogin,
+  recordFailure,
+  recordSuccess,
+  unlockAccount
+};
@@ -0,0 +1,64 @@
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Keeps failed login counters in process memory. Only suitable for a single
+// server instance.
+class MemoryStore {
+  constructor({ sweepIntervalMs = SWEEP_INTERVAL_MS } = {}) {
+    this.entries = new Map();
+    // Keys that are never looked up again (e.g. one-off IPs) would otherwise
+    // stay in memory forever. The timer must not keep the process alive.
+    this.sweeper = setInterval(() => this.sweep(new Date()), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  // Drop every expired entry
+  sweep(now) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  live(key, now) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key) {
+    return this.live(key, new Date());
+  }
+
+  // Count a failure, starting a new window when the previous one has passed
+  async increment(key, { windowMs, ttlMs }) {
+    const now = new Date();
+    let entry = this.live(key, now);
+    if (!entry || entry.firstAttemptAt <= new Date(now - windowMs)) {
+      entry = { count: 0, firstAttemptAt: now, lockedUntil: entry ? entry.lockedUntil : undefined };
+    }
+    entry.count += 1;
+    entry.expiresAt = new Date(Math.max(now.getTime() + ttlMs, entry.lockedUntil ? entry.lockedUntil.getTime() : 0));
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  // Lock the key and start a fresh count for when the lock ends
+  async lock(key, until) {
+    const entry = this.live(key, new Date()) || {};
+    entry.count = 0;
+    entry.firstAttemptAt = new Date();
+    entry.lockedUntil = until;
+    entry.expiresAt = new Date(Math.max(until.getTime(), entry.expiresAt ? entry.expiresAt.getTime() : 0));
+    this.entries.set(key, entry);
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,53 @@
+const LoginAttempt = require('../../models/LoginAttempt');
+
+// Keeps failed login counters in MongoDB so every instance sees the same
+// counts
+class MongoStore {
+  async get(key) {
+    return LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } });
+  }
+
+  // Count a failure, starting a new window when the previous one has passed
+  async increment(key, { windowMs, ttlMs }) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlMs);
+
+    const current = await LoginAttempt.findOneAndUpdate(
+      { key, firstAttemptAt: { $gt: new Date(now - windowMs) }, expiresAt: { $gt: now } },
+      { $inc: { count: 1 }, $max: { expiresAt } },
+      { new: true }
+    );
+    if (current) {
+      return current;
+    }
+
+    try {
+      return await LoginAttempt.findOneAndUpdate(
+        { key },
+        { $set: { count: 1, firstAttemptAt: now }, $max: { expiresAt } },
+        { new: true, upsert: true }
+      );
+    } catch (error) {
+      // Another request created the counter first
+      if (error.code === 11000) {
+        return this.increment(key, { windowMs, ttlMs });
+      }
+      throw error;
+    }
+  }
+
+  // Lock the key and start a fresh count for when the lock ends
+  async lock(key, until) {
+    await LoginAttempt.updateOne(
+      { key },
+      { $set: { count: 0, firstAttemptAt: new Date(), lockedUntil: until }, $max: { expiresAt: until } },
+      { upsert: true }
+    );
+  }
+
+  async reset(key) {
+    await LoginAttempt.deleteOne({ key });
+  }
+}
+
+module.exports = MongoStore;
@@ -0,0 +1,69 @@
+const { SmtpTransport, FileTransport, ConsoleTransport } = require('./transports');
+const { templates } = require('./templates');
+
+let transport;
+
+// Build the transport selected by MAIL_TRANSPORT (smtp, file or console).
+// Messages carry password-reset and verification links, so production has
+// no default and never prints them to the logs.
+const createTransport = (env = process.env) => {
+  const production = env.NODE_ENV === 'production';
+  if (production && (!env.MAIL_TRANSPORT || env.MAIL_TRANSPORT === 'console')) {
+    throw new Error('Set MAIL_TRANSPORT to smtp or file in production; the console transport would log secrets');
+  }
+
+  switch (env.MAIL_TRANSPORT || 'console') {
+    case 'smtp':
+      return new SmtpTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+      });
+    case 'file':
+      return new FileTransport({ dir: env.MAIL_FILE_DIR || 'tmp/mail' });
+    case 'console':
+      return new ConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${env.MAIL_TRANSPORT}`);
+  }
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Replace the shared transport, e.g. to capture messages in tests
+const setTransport = (instance) => {
+  transport = instance;
+};
+
+// Render a template and send it
+const sendMail = async (templateName, to, data) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  const { subject, text, html } = template(data);
+  await getTransport().send({
+    from: process.env.MAIL_FROM || 'Bookstore <no-reply@bookstore.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+// Send without holding up the request; failures are logged
+const sendMailInBackground = (templateName, to, data) => {
+  sendMail(templateName, to, data).catch(error => {
+    console.error(`Failed to send ${templateName} email:`, error.message);
+  });
+};
+
+module.exports = { createTransport, setTransport, sendMail, sendMailInBackground };
@@ -0,0 +1,100 @@
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Wrap message paragraphs in a minimal HTML layout
+const layout = (paragraphs, action) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #333;">
+    ${paragraphs.map(text => `<p>${escapeHtml(text)}</p>`).join('\n    ')}
+    ${action ? `<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>` : ''}
+    <p>— The Bookstore Team</p>
+  </body>
+</html>`;
+
+// Each template takes the message data and returns subject, text and html
+const templates = {
+  emailVerification: ({ name, verifyUrl, expiresHours }) => {
+    const paragraphs = [
+      `Hi ${name},`,
+      'Thanks for signing up to Bookstore. Please confirm your email address using the link below.',
+      `The link expires in ${expiresHours} hours.`,
+      'If you didn\'t create an account, you can ignore this email.'
+    ];
+    return {
+      subject: 'Confirm your email address',
+      text: `${paragraphs.join('\n\n')}\n\n${verifyUrl}`,
+      html: layout(paragraphs, { url: verifyUrl, label: 'Confirm email' })
+    };
+  },
+
+  passwordReset: ({ name, resetUrl, expiresMinutes }) => {
+    const paragraphs = [
+      `Hi ${name},`,
+      'We received a request to reset the password for your Bookstore account.',
+      `Use the link below to choose a new password. It expires in ${expiresMinutes} minutes and can only be used once.`,
+      'If you didn\'t ask for this, you can ignore this email; your password won\'t change.'
+    ];
+    return {
+      subject: 'Reset your Bookstore password',
+      text: `${paragraphs.join('\n\n')}\n\n${resetUrl}`,
+      html: layout(paragraphs, { url: resetUrl, label: 'Reset password' })
+    };
+  },
+
+  backInStock: ({ name, title, price, bookUrl }) => {
+    const paragraphs = [
+      `Hi ${name},`,
+      `Good news: "${title}" from your wishlist is back in stock at ${price}.`,
+      'Copies can go quickly, so don\'t wait too long.'
+    ];
+    return {
+      subject: `Back in stock: ${title}`,
+      text: `${paragraphs.join('\n\n')}\n\n${bookUrl}`,
+      html: layout(paragraphs, { url: bookUrl, label: 'View book' })
+    };
+  },
+
+  priceDrop: ({ name, title, oldPrice, price, bookUrl }) => {
+    const paragraphs = [
+      `Hi ${name},`,
+      `The price of "${title}" from your wishlist has dropped from ${oldPrice} to ${price}.`
+    ];
+    return {
+      subject: `Price drop: ${title}`,
+      text: `${paragraphs.join('\n\n')}\n\n${bookUrl}`,
+      html: layout(paragraphs, { url: bookUrl, label: 'View book' })
+    };
+  },
+
+  renewalDue: ({ name, planName, amount, currency, payUrl }) => {
+    const paragraphs = [
+      `Hi ${name},`,
+      `Your ${planName} subscription is due for renewal. The renewal costs ${amount} ${currency}.`,
+      'Your access continues for a few days while you complete the payment using the link below.'
+    ];
+    return {
+      subject: `Renew your ${planName} subscription`,
+      text: `${paragraphs.join('\n\n')}\n\n${payUrl}`,
+      html: layout(paragraphs, { url: payUrl, label: 'Renew subscription' })
+    };
+  },
+
+  passwordChanged: ({ name }) => {
+    const paragraphs = [
+      `Hi ${name},`,
+      'The password for your Bookstore account was just changed and you have been signed out of other devices.',
+      'If this wasn\'t you, reset your password straight away and contact support.'
+    ];
+    return {
+      subject: 'Your Bookstore password was changed',
+      text: paragraphs.join('\n\n'),
+      html: layout(paragraphs)
+    };
+  }
+};
+
+module.exports = { templates, escapeHtml, layout };
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Sends through an SMTP server
+class SmtpTransport {
+  constructor({ host, port, secure, user, pass }) {
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(message) {
+    await this.transporter.sendMail(message);
+  }
+}
+
+// Writes each message to a JSON file, for local development and tests
+class FileTransport {
+  constructor({ dir }) {
+    this.dir = path.resolve(dir);
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const name = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+    await fs.promises.writeFile(
+      path.join(this.dir, name),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+  }
+}
+
+// Prints each message to the console
+class ConsoleTransport {
+  async send(message) {
+    console.log(`--- Email to ${message.to}: ${message.subject} ---\n${message.text}\n---`);
+  }
+}
+
+module.exports = { SmtpTransport, FileTransport, ConsoleTransport };
@@ -0,0 +1,41 @@
+const { EmailNotifier, ConsoleNotifier, MemoryNotifier } = require('./notifiers');
+
+let notifier;
+
+// Build the notifier selected by NOTIFIER (email, console or memory)
+const createNotifier = (env = process.env) => {
+  switch (env.NOTIFIER || 'email') {
+    case 'email':
+      return new EmailNotifier();
+    case 'console':
+      return new ConsoleNotifier();
+    case 'memory':
+      return new MemoryNotifier();
+    default:
+      throw new Error(`Unknown notifier: ${env.NOTIFIER}`);
+  }
+};
+
+const getNotifier = () => {
+  if (!notifier) {
+    notifier = createNotifier();
+  }
+  return notifier;
+};
+
+// Replace the shared notifier, e.g. to capture notifications in tests
+const setNotifier = (instance) => {
+  notifier = instance;
+};
+
+// Tell a user about an event. Failures are logged so one bad address doesn't
+// stop the rest.
+const notify = async (user, event, data) => {
+  try {
+    await getNotifier().notify(user, event, data);
+  } catch (error) {
+    console.error(`Failed to send ${event} notification:`, error.message);
+  }
+};
+
+module.exports = { createNotifier, getNotifier, setNotifier, notify };
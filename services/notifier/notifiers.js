@@ -0,0 +1,28 @@
+const { sendMail } = require('../mailer');
+
+// Emails the user using the mail template named after the event
+class EmailNotifier {
+  async notify(user, event, data) {
+    await sendMail(event, user.email, { name: user.name, ...data });
+  }
+}
+
+// Logs notifications instead of delivering them
+class ConsoleNotifier {
+  async notify(user, event, data) {
+    console.log(`Notification ${event} for ${user.email}:`, data);
+  }
+}
+
+// Keeps notifications in memory, for local development and tests
+class MemoryNotifier {
+  constructor() {
+    this.sent = [];
+  }
+
+  async notify(user, event, data) {
+    this.sent.push({ user: user._id, email: user.email, event, data, sentAt: new Date() });
+  }
+}
+
+module.exports = { EmailNotifier, ConsoleNotifier, MemoryNotifier };
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const Order = require('../models/Order');
+const { HttpError } = require('../utils/httpError');
+const { findPurchasedPdfBookIds } = require('./entitlementService');
+const { recordMovement } = require('./inventoryService');
+const { refundOrderPayment } = require('./paymentService');
+const {
+  findUsableCoupon,
+  calculateOrderDiscount,
+  redeemCoupon,
+  releaseRedemptions
+} = require('./couponService');
+
+const CANCELLABLE_STATUSES = ['pending', 'confirmed'];
+// Staff can still stop an order while it is being prepared
+const ADMIN_CANCELLABLE_STATUSES = ['pending', 'confirmed', 'processing'];
+const ITEM_FORMATS = ['print', 'pdf'];
+
+const isPhysical = (item) => item.format !== 'pdf';
+
+// Merge duplicate lines and make sure every quantity is a positive integer.
+// A line is either a printed copy or, with format 'pdf', the digital edition,
+// which is always bought as a single copy.
+const normalizeItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new HttpError(400, 'Order must contain at least one item');
+  }
+
+  const lines = new Map();
+  for (const item of items) {
+    const bookId = item && item.book ? item.book.toString() : '';
+    const format = (item && item.format) || 'print';
+    const quantity = format === 'pdf' ? 1 : Number(item && item.quantity);
+
+    if (!mongoose.Types.ObjectId.isValid(bookId)) {
+      throw new HttpError(400, 'Invalid book id', { book: bookId });
+    }
+    if (!ITEM_FORMATS.includes(format)) {
+      throw new HttpError(400, 'Invalid item format', { book: bookId, format });
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new HttpError(400, 'Quantity must be a positive integer', { book: bookId });
+    }
+
+    const key = `${bookId}:${format}`;
+    const existing = lines.get(key);
+    if (existing) {
+      existing.quantity = format === 'pdf' ? 1 : existing.quantity + quantity;
+    } else {
+      lines.set(key, { book: bookId, format, quantity });
+    }
+  }
+
+  return Array.from(lines.values());
+};
+
+// Put reserved copies back on the shelf. Digital lines never held stock.
+const releaseStock = async (items, { order, actor, reason } = {}) => {
+  await Promise.all(items.filter(isPhysical).map(item =>
+    recordMovement({ book: item.book, type: 'return', quantity: item.quantity, order, actor, reason })
+  ));
+};
+
+// Take stock for every item through the inventory ledger, only where enough
+// copies remain. Each update is atomic per book, so two shoppers can never
+// both take the last copy; if any item fails, everything reserved so far is
+// released.
+const reserveStock = async (items, { order, actor } = {}) => {
+  const reserved = [];
+
+  try {
+    for (const item of items) {
+      const { book } = await recordMovement({
+        book: item.book,
+        type: 'sale',
+        quantity: item.quantity,
+        order,
+        actor
+      });
+      reserved.push({ book: book._id, format: 'print', quantity: item.quantity, price: book.price });
+    }
+  } catch (error) {
+    await releaseStock(reserved, { order, actor, reason: 'Order not completed' });
+    throw error;
+  }
+
+  return reserved;
+};
+
+// Use the address given at checkout, falling back to the one on the user's profile
+const resolveShippingAddress = (user, shippingAddress) => {
+  const address = { ...(user.toObject().address || {}), ...(shippingAddress || {}) };
+  const missing = ['street', 'city', 'zipCode', 'country'].filter(field => !address[field]);
+  if (missing.length > 0) {
+    throw new HttpError(400, `Shipping address is missing: ${missing.join(', ')}`);
+  }
+  return address;
+};
+
+// Price digital lines from pdfPrice, checking the PDF is actually for sale
+// and not already owned
+const priceDigitalItems = async (userId, items) => {
+  if (items.length === 0) {
+    return [];
+  }
+
+  const books = await Book.find({ _id: { $in: items.map(item => item.book) } });
+  const booksById = new Map(books.map(book => [book._id.toString(), book]));
+  const owned = new Set(await findPurchasedPdfBookIds(userId, items.map(item => item.book)));
+
+  return items.map(item => {
+    const book = booksById.get(item.book);
+    if (!book) {
+      throw new HttpError(404, 'Book not found', { book: item.book });
+    }
+    if (!book.hasPdf || !book.allowPdfPurchase || book.pdfPrice === undefined || book.pdfPrice === null) {
+      throw new HttpError(400, `The PDF edition of "${book.title}" is not for sale`, { book: item.book });
+    }
+    if (owned.has(item.book)) {
+      throw new HttpError(400, `You already own the PDF edition of "${book.title}"`, { book: item.book });
+    }
+    return { book: book._id, format: 'pdf', quantity: 1, price: book.pdfPrice };
+  });
+};
+
+const calculateTotal = (items) =>
+  Math.round(items.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100;
+
+// Create an order for a user, pricing every line from the catalog. Orders
+// containing only digital lines need no shipping address.
+const createOrder = async ({ user, items, shippingAddress, notes, couponCode }) => {
+  const lines = normalizeItems(items);
+  const physicalLines = lines.filter(isPhysical);
+  const digitalItems = await priceDigitalItems(user._id, lines.filter(item => !isPhysical(item)));
+  const address = physicalLines.length > 0 ? resolveShippingAddress(user, shippingAddress) : undefined;
+  const coupon = couponCode
+    ? await findUsableCoupon(couponCode, { userId: user._id, scope: 'order' })
+    : null;
+
+  // The id is fixed up front so the ledger entries can point at the order
+  const orderId = new mongoose.Types.ObjectId();
+  const reserved = await reserveStock(physicalLines, { order: orderId, actor: user._id });
+  const orderItems = [...reserved, ...digitalItems];
+  const order = new Order({
+    _id: orderId,
+    user: user._id,
+    items: orderItems,
+    subtotal: calculateTotal(orderItems),
+    shippingAddress: address,
+    notes
+  });
+
+  try {
+    const discount = coupon ? await calculateOrderDiscount(coupon, orderItems) : 0;
+    if (coupon) {
+      order.discount = { coupon: coupon._id, code: coupon.code, amount: discount };
+      await redeemCoupon(coupon, { userId: user._id, order: order._id, discount });
+    }
+    order.totalAmount = Math.round((order.subtotal - discount) * 100) / 100;
+
+    await order.save();
+    return order;
+  } catch (error) {
+    await releaseStock(reserved, { order: order._id, actor: user._id, reason: 'Order not completed' });
+    await releaseRedemptions({ order: order._id });
+    throw error;
+  }
+};
+
+// Cancel an order and return its stock. Customers pass their own id as
+// `user` so they can only cancel their orders; staff pass `actor` and the
+// statuses they may cancel from. The status check is part of the update so
+// an order can't be cancelled twice or after it has moved on. A confirmed
+// order may already be paid for; that payment is refunded.
+const cancelOrder = async ({ orderId, user, actor = user, statuses = CANCELLABLE_STATUSES }) => {
+  const filter = user ? { _id: orderId, user } : { _id: orderId };
+  const order = await Order.findOneAndUpdate(
+    { ...filter, status: { $in: statuses } },
+    { status: 'cancelled' },
+    { new: true }
+  );
+
+  if (!order) {
+    const existing = await Order.findOne(filter).select('status');
+    if (!existing) {
+      throw new HttpError(404, 'Order not found');
+    }
+    throw new HttpError(400, `Order cannot be cancelled once it is ${existing.status}`);
+  }
+
+  await releaseStock(order.items, { order: order._id, actor, reason: 'Order cancelled' });
+  await releaseRedemptions({ order: order._id });
+  if (order.paymentStatus === 'paid') {
+    await refundOrderPayment(order, 'Order cancelled');
+  }
+  return order;
+};
+
+module.exports = {
+  CANCELLABLE_STATUSES,
+  ADMIN_CANCELLABLE_STATUSES,
+  ITEM_FORMATS,
+  normalizeItems,
+  reserveStock,
+  releaseStock,
+  resolveShippingAddress,
+  calculateTotal,
+  createOrder,
+  cancelOrder
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { sendMailInBackground } = require('./mailer');
+const { invalidateUserTokens } = require('./tokenService');
+const { HttpError } = require('../utils/httpError');
+
+const resetTtlMinutes = () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Email a reset link if the address belongs to an active account. Callers
+// must respond the same way whether or not it does.
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+  if (!user || user.isActive === false) {
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresMinutes = resetTtlMinutes();
+  await User.updateOne({ _id: user._id }, {
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpires: new Date(Date.now() + expiresMinutes * 60 * 1000)
+  });
+
+  sendMailInBackground('passwordReset', user.email, {
+    name: user.name,
+    resetUrl: `${appUrl()}/reset-password?token=${token}`,
+    expiresMinutes
+  });
+};
+
+// Set a new password using a reset token. The token is cleared in the same
+// update that finds it, so it can only be used once.
+const resetPassword = async (token, newPassword) => {
+  const user = await User.findOneAndUpdate(
+    {
+      passwordResetTokenHash: hashToken(String(token)),
+      passwordResetExpires: { $gt: new Date() }
+    },
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+  if (!user) {
+    throw new HttpError(400, 'Invalid or expired reset token');
+  }
+
+  // Hashed by the pre-save hook
+  user.password = newPassword;
+  await user.save();
+  await invalidateUserTokens(user._id);
+
+  sendMailInBackground('passwordChanged', user.email, { name: user.name });
+  return user;
+};
+
+module.exports = { requestPasswordReset, resetPassword };
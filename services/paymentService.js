@@ -0,0 +1,434 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Plan = require('../models/Plan');
+const Subscription = require('../models/Subscription');
+const User = require('../models/User');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getPaymentProvider, getCurrency } = require('./payments');
+const { recordSales } = require('./catalogService');
+const { sendMailInBackground } = require('./mailer');
+const { HttpError } = require('../utils/httpError');
+
+// Payment statuses an event may move a payment out of. Anything else means
+// the event is stale or already applied.
+const TRANSITIONS = {
+  succeeded: ['pending', 'failed'],
+  failed: ['pending'],
+  refunded: ['succeeded']
+};
+
+// Create a provider payment and record it against an order or subscription
+const createPayment = async ({ user, purpose, order, subscription, amount, reference }) => {
+  const provider = getPaymentProvider();
+  const currency = getCurrency();
+  const intent = await provider.createPaymentIntent({
+    amount,
+    currency,
+    reference,
+    metadata: { purpose, user: user.toString() }
+  });
+
+  const payment = await Payment.create({
+    user,
+    provider: provider.name,
+    providerPaymentId: intent.id,
+    purpose,
+    order,
+    subscription,
+    amount,
+    currency,
+    clientData: intent.clientData
+  });
+
+  return paymentView(payment);
+};
+
+const paymentView = (payment) => ({
+  id: payment.providerPaymentId,
+  provider: payment.provider,
+  amount: payment.amount,
+  currency: payment.currency,
+  clientData: payment.clientData
+});
+
+const findOpenOrderPayment = (order) => Payment.findOne({ order: order._id, purpose: 'order', status: 'pending' });
+
+// Start paying for an order. Orders can be retried after a failed payment;
+// while a payment is still open the same one is returned, so the customer
+// can't end up with two live charges for one order.
+const createOrderPayment = async (order) => {
+  if (order.status === 'cancelled') {
+    throw new HttpError(400, 'Cannot pay for a cancelled order');
+  }
+  if (!['pending', 'failed'].includes(order.paymentStatus)) {
+    throw new HttpError(400, `Order payment is already ${order.paymentStatus}`);
+  }
+
+  const open = await findOpenOrderPayment(order);
+  if (open) {
+    return paymentView(open);
+  }
+
+  let payment;
+  try {
+    payment = await createPayment({
+      user: order.user,
+      purpose: 'order',
+      order: order._id,
+      amount: order.totalAmount,
+      reference: `order_${order._id}`
+    });
+  } catch (error) {
+    // A concurrent request opened a payment first
+    if (error.code === 11000) {
+      const existing = await findOpenOrderPayment(order);
+      if (existing) {
+        return paymentView(existing);
+      }
+    }
+    throw error;
+  }
+
+  order.paymentId = payment.id;
+  await order.save();
+  return payment;
+};
+
+// Start paying for a pending subscription
+const createSubscriptionPayment = async (subscription) => {
+  const payment = await createPayment({
+    user: subscription.user,
+    purpose: 'subscription',
+    subscription: subscription._id,
+    amount: subscription.amountDue(),
+    reference: `subscription_${subscription._id}`
+  });
+
+  subscription.paymentId = payment.id;
+  await subscription.save();
+  return payment;
+};
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// The open payment for a user's pending subscription, e.g. a renewal they
+// were emailed about
+const findOpenSubscriptionPayment = async (subscriptionId, userId) => {
+  const payment = await Payment.findOne({
+    subscription: subscriptionId,
+    user: userId,
+    purpose: 'subscription',
+    status: 'pending'
+  });
+  if (!payment) {
+    throw new HttpError(404, 'No payment is due for this subscription');
+  }
+  return paymentView(payment);
+};
+
+// Whether the configured provider can charge renewals without the customer
+// present. Other providers renew by asking the customer to pay.
+const supportsAutomaticRenewal = () => typeof getPaymentProvider().chargeOffSession === 'function';
+
+// Charge an automatic renewal off-session. Returns the payment status
+// ('succeeded', 'pending' or 'failed') and the provider payment id.
+const chargeSubscriptionRenewal = async (subscription) => {
+  const provider = getPaymentProvider();
+  if (typeof provider.chargeOffSession !== 'function') {
+    throw new Error(`Payment provider "${provider.name}" does not support automatic renewal`);
+  }
+
+  const currency = getCurrency();
+  const charge = await provider.chargeOffSession({
+    amount: subscription.amountDue(),
+    currency,
+    reference: `subscription_${subscription._id}`,
+    metadata: { purpose: 'subscription', user: subscription.user.toString() }
+  });
+
+  await Payment.create({
+    user: subscription.user,
+    provider: provider.name,
+    providerPaymentId: charge.id,
+    purpose: 'subscription',
+    subscription: subscription._id,
+    amount: subscription.amountDue(),
+    currency,
+    status: charge.status
+  });
+
+  return { status: charge.status, paymentId: charge.id };
+};
+
+// Ask the customer to pay for a renewal themselves, for providers that can't
+// charge off-session: open a payment for the new period and email them a
+// link to complete it. The payment webhook activates the period as usual.
+const requestRenewalPayment = async (subscription) => {
+  const payment = await createSubscriptionPayment(subscription);
+  const user = await User.findById(subscription.user).select('name email');
+  if (user) {
+    sendMailInBackground('renewalDue', user.email, {
+      name: user.name,
+      planName: subscription.planName,
+      amount: payment.amount.toFixed(2),
+      currency: payment.currency,
+      payUrl: `${appUrl()}/subscription/renew/${subscription._id}`
+    });
+  }
+  return { status: 'pending', paymentId: payment.id };
+};
+
+// Close the subscription a plan change replaces
+const closeReplacedSubscription = async (subscription) => {
+  await Subscription.updateOne(
+    { _id: subscription.changedFrom, status: 'active' },
+    {
+      status: 'expired',
+      endDate: subscription.startDate,
+      autoRenew: false,
+      replacedBy: subscription._id,
+      updatedAt: new Date()
+    }
+  );
+};
+
+// Close the period a renewal continues, once the renewal is paid for. A
+// downgrade scheduled on it has now taken effect.
+const closeRenewedSubscription = async (subscription) => {
+  const previous = await Subscription.findOne({ _id: subscription.renewedFrom, status: 'active' });
+  if (!previous) {
+    return;
+  }
+
+  const change = previous.scheduledPlanChange();
+  if (change && change.toPlan === subscription.plan) {
+    change.status = 'applied';
+    change.effectiveAt = subscription.startDate;
+  }
+  previous.status = 'expired';
+  previous.autoRenew = false;
+  previous.endDate = subscription.startDate;
+  previous.renewal.nextAttemptAt = undefined;
+  previous.renewal.lockedUntil = undefined;
+  await previous.save();
+};
+
+// A renewal charge that was pending has been declined: drop the new period
+// and have the lifecycle job retry while the previous one is in grace
+const retryDeclinedRenewal = async (subscriptionId) => {
+  const declined = await Subscription.findOneAndDelete({
+    _id: subscriptionId,
+    status: 'pending',
+    renewedFrom: { $exists: true }
+  });
+  if (!declined) {
+    return;
+  }
+
+  await Subscription.updateOne(
+    { _id: declined.renewedFrom, status: 'active' },
+    { 'renewal.nextAttemptAt': new Date(), 'renewal.lastError': 'Renewal payment declined', updatedAt: new Date() }
+  );
+};
+
+// Start the subscription period from the moment payment is confirmed.
+// Renewals keep the period they were created with, which starts where the
+// previous one ended, as long as that one is still active.
+const activateSubscription = async (subscriptionId) => {
+  const subscription = await Subscription.findOne({ _id: subscriptionId, status: 'pending' });
+  if (!subscription) {
+    return null;
+  }
+
+  // Archived plans still define the period for subscriptions already sold
+  const plan = await Plan.findOne({ key: subscription.plan });
+  if (!plan) {
+    throw new Error(`Plan "${subscription.plan}" not found`);
+  }
+
+  // A renewal paid for after the previous period ran out starts afresh
+  const continues = subscription.renewedFrom
+    && await Subscription.exists({ _id: subscription.renewedFrom, status: 'active' });
+
+  subscription.status = 'active';
+  if (!continues) {
+    subscription.startDate = new Date();
+    subscription.endDate = plan.periodEnd(subscription.startDate);
+  }
+  subscription.planChanges.forEach(change => {
+    if (change.status === 'pending_payment') {
+      change.status = 'applied';
+      change.effectiveAt = subscription.startDate;
+    }
+  });
+  await subscription.save();
+
+  if (subscription.changedFrom) {
+    await closeReplacedSubscription(subscription);
+  }
+  if (subscription.renewedFrom) {
+    await closeRenewedSubscription(subscription);
+  }
+  return subscription;
+};
+
+// Ask the provider to give a completed payment back. The refund webhook then
+// marks it refunded; if the provider refuses, the error is kept on the
+// payment for staff to follow up.
+const refundPayment = async (payment, reason) => {
+  const refund = { reason, requestedAt: new Date() };
+  try {
+    const result = await getPaymentProvider().refund({
+      paymentId: payment.providerPaymentId,
+      amount: payment.amount,
+      currency: payment.currency
+    });
+    refund.providerRefundId = result.id;
+  } catch (error) {
+    refund.error = error.message;
+    console.error(`Failed to refund payment ${payment.providerPaymentId}:`, error.message);
+  }
+  await Payment.updateOne({ _id: payment._id }, { refund });
+  return refund;
+};
+
+// Refund what was paid for an order that has been cancelled
+const refundOrderPayment = async (order, reason) => {
+  const payment = await Payment.findOne({ order: order._id, purpose: 'order', status: 'succeeded' });
+  return payment ? refundPayment(payment, reason) : null;
+};
+
+// Mark an order paid. A payment completing after its order was cancelled is
+// refunded instead: the stock has already gone back on the shelf. The status
+// the order was read with is part of the update, so a cancellation racing
+// the webhook is seen on the retry.
+const markOrderPaid = async (payment) => {
+  const order = await Order.findById(payment.order);
+  if (!order) return;
+
+  if (order.status === 'cancelled') {
+    await refundPayment(payment, 'Order was cancelled before payment completed');
+    return;
+  }
+
+  let status = order.status;
+  // Digital-only orders are fulfilled as soon as they are paid
+  if (status === 'pending') {
+    status = order.items.every(item => item.format === 'pdf') ? 'delivered' : 'confirmed';
+  }
+  const previous = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    { status, paymentStatus: 'paid', paymentId: payment.providerPaymentId }
+  );
+  if (!previous) {
+    return markOrderPaid(payment);
+  }
+  if (previous.paymentStatus !== 'paid') {
+    await recordSales(order.items);
+  }
+};
+
+const applyOrderEvent = async (payment, type) => {
+  switch (type) {
+    case 'succeeded':
+      await markOrderPaid(payment);
+      break;
+    case 'failed':
+      await Order.updateOne(
+        { _id: payment.order, paymentStatus: 'pending' },
+        { paymentStatus: 'failed' }
+      );
+      break;
+    case 'refunded': {
+      const previous = await Order.findOneAndUpdate({ _id: payment.order }, { paymentStatus: 'refunded' });
+      if (previous && previous.paymentStatus === 'paid') {
+        await recordSales(previous.items, -1);
+      }
+      break;
+    }
+  }
+};
+
+const applySubscriptionEvent = async (payment, type) => {
+  switch (type) {
+    case 'succeeded':
+      await activateSubscription(payment.subscription);
+      break;
+    case 'failed':
+      await retryDeclinedRenewal(payment.subscription);
+      break;
+    case 'refunded':
+      await Subscription.updateOne(
+        { _id: payment.subscription },
+        { status: 'cancelled', autoRenew: false, updatedAt: new Date() }
+      );
+      break;
+  }
+};
+
+// Apply a normalized provider event to the payment and what it pays for
+const applyPaymentEvent = async (event) => {
+  const payment = await Payment.findOneAndUpdate(
+    { providerPaymentId: event.paymentId, status: { $in: TRANSITIONS[event.type] } },
+    { status: event.type },
+    { new: true }
+  );
+  if (!payment) {
+    return false;
+  }
+
+  if (payment.purpose === 'order') {
+    await applyOrderEvent(payment, event.type);
+  } else {
+    await applySubscriptionEvent(payment, event.type);
+  }
+  return true;
+};
+
+// Verify and process a webhook delivery. Each provider event is recorded
+// before it is applied, so redeliveries are acknowledged without effect; if
+// applying fails the record is removed and the provider's retry is processed.
+const handleWebhook = async (rawBody, headers) => {
+  const provider = getPaymentProvider();
+  const event = provider.parseWebhook(rawBody, headers);
+
+  if (!event.type) {
+    return { status: 'ignored' };
+  }
+
+  try {
+    await WebhookEvent.create({
+      provider: provider.name,
+      eventId: event.id,
+      type: event.type,
+      paymentId: event.paymentId
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { status: 'duplicate' };
+    }
+    throw error;
+  }
+
+  try {
+    const applied = await applyPaymentEvent(event);
+    return { status: applied ? 'processed' : 'ignored' };
+  } catch (error) {
+    await WebhookEvent.deleteOne({ provider: provider.name, eventId: event.id });
+    throw error;
+  }
+};
+
+module.exports = {
+  createOrderPayment,
+  createSubscriptionPayment,
+  findOpenSubscriptionPayment,
+  supportsAutomaticRenewal,
+  chargeSubscriptionRenewal,
+  requestRenewalPayment,
+  activateSubscription,
+  refundPayment,
+  refundOrderPayment,
+  applyPaymentEvent,
+  handleWebhook
+};
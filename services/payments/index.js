@@ -0,0 +1,46 @@
+const MockProvider = require('./mockProvider');
+const StripeProvider = require('./stripeProvider');
+const RazorpayProvider = require('./razorpayProvider');
+
+let provider;
+
+// Build the provider selected by PAYMENT_PROVIDER (mock, stripe or razorpay)
+const createPaymentProvider = (env = process.env) => {
+  switch (env.PAYMENT_PROVIDER || 'mock') {
+    case 'mock':
+      // Anyone holding the mock secret can mark orders paid
+      if (env.NODE_ENV === 'production') {
+        throw new Error('The mock payment provider cannot be used in production; set PAYMENT_PROVIDER');
+      }
+      return new MockProvider({ webhookSecret: env.PAYMENT_WEBHOOK_SECRET });
+    case 'stripe':
+      return new StripeProvider({
+        secretKey: env.STRIPE_SECRET_KEY,
+        webhookSecret: env.STRIPE_WEBHOOK_SECRET
+      });
+    case 'razorpay':
+      return new RazorpayProvider({
+        keyId: env.RAZORPAY_KEY_ID,
+        keySecret: env.RAZORPAY_KEY_SECRET,
+        webhookSecret: env.RAZORPAY_WEBHOOK_SECRET
+      });
+    default:
+      throw new Error(`Unknown payment provider: ${env.PAYMENT_PROVIDER}`);
+  }
+};
+
+// Shared provider instance, created on first use
+const getPaymentProvider = () => {
+  if (!provider) {
+    provider = createPaymentProvider();
+  }
+  return provider;
+};
+
+const setPaymentProvider = (instance) => {
+  provider = instance;
+};
+
+const getCurrency = () => process.env.PAYMENT_CURRENCY || 'INR';
+
+module.exports = { createPaymentProvider, getPaymentProvider, setPaymentProvider, getCurrency };
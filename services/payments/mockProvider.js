@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const { hmacSha256, signaturesMatch, WebhookSignatureError } = require('./signature');
+
+const EVENT_TYPES = {
+  succeeded: 'payment.succeeded',
+  failed: 'payment.failed',
+  refunded: 'payment.refunded'
+};
+
+// Sandbox provider for local development and testing. Payments are never
+// charged; they complete when a signed webhook for them is delivered, which
+// buildWebhook can produce.
+class MockProvider {
+  constructor({ webhookSecret }) {
+    if (!webhookSecret) {
+      throw new Error('The mock payment provider requires PAYMENT_WEBHOOK_SECRET');
+    }
+    this.name = 'mock';
+    this.webhookSecret = webhookSecret;
+  }
+
+  async createPaymentIntent({ amount, currency }) {
+    return {
+      id: `mock_pay_${crypto.randomBytes(12).toString('hex')}`,
+      clientData: { amount, currency }
+    };
+  }
+
+  // Charge the customer's saved payment method without them present. Set
+  // MOCK_PAYMENT_FAIL_RENEWALS=true to simulate declined renewals.
+  async chargeOffSession({ amount, currency }) {
+    return {
+      id: `mock_pay_${crypto.randomBytes(12).toString('hex')}`,
+      status: process.env.MOCK_PAYMENT_FAIL_RENEWALS === 'true' ? 'failed' : 'succeeded',
+      clientData: { amount, currency }
+    };
+  }
+
+  // Refunds complete when a signed 'refunded' webhook is delivered
+  async refund() {
+    return { id: `mock_refund_${crypto.randomBytes(12).toString('hex')}` };
+  }
+
+  // Build a signed webhook request for a payment outcome
+  buildWebhook(paymentId, outcome) {
+    const type = EVENT_TYPES[outcome];
+    if (!type) {
+      throw new Error(`Unknown payment outcome: ${outcome}`);
+    }
+
+    const rawBody = Buffer.from(JSON.stringify({
+      id: `mock_evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      data: { paymentId }
+    }));
+    return {
+      rawBody,
+      headers: { 'x-mock-signature': hmacSha256(this.webhookSecret, rawBody) }
+    };
+  }
+
+  parseWebhook(rawBody, headers) {
+    const expected = hmacSha256(this.webhookSecret, rawBody);
+    if (!signaturesMatch(expected, headers['x-mock-signature'])) {
+      throw new WebhookSignatureError();
+    }
+
+    const event = JSON.parse(rawBody.toString('utf8'));
+    const outcome = Object.keys(EVENT_TYPES).find(key => EVENT_TYPES[key] === event.type);
+    if (!outcome) {
+      return { id: event.id, type: null };
+    }
+
+    return { id: event.id, type: outcome, paymentId: event.data.paymentId };
+  }
+}
+
+module.exports = MockProvider;
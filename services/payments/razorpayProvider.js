@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const {
+  hmacSha256,
+  signaturesMatch,
+  toMinorUnits,
+  WebhookSignatureError
+} = require('./signature');
+
+const API_URL = 'https://api.razorpay.com/v1';
+
+// Razorpay Orders adapter. The Razorpay order id is our payment id; the
+// checkout widget on the frontend completes it.
+class RazorpayProvider {
+  constructor({ keyId, keySecret, webhookSecret }) {
+    if (!keyId || !keySecret || !webhookSecret) {
+      throw new Error('Razorpay requires RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET');
+    }
+    this.name = 'razorpay';
+    this.keyId = keyId;
+    this.keySecret = keySecret;
+    this.webhookSecret = webhookSecret;
+  }
+
+  async request(method, path, body) {
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${this.keyId}:${this.keySecret}`).toString('base64')}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(`Razorpay error: ${data.error?.description || response.statusText}`);
+    }
+    return data;
+  }
+
+  async createPaymentIntent({ amount, currency, reference, metadata }) {
+    const data = await this.request('POST', '/orders', {
+      amount: toMinorUnits(amount),
+      currency: currency.toUpperCase(),
+      receipt: reference,
+      notes: metadata
+    });
+    return { id: data.id, clientData: { keyId: this.keyId, orderId: data.id } };
+  }
+
+  // Give back a completed payment. Refunds are made against the captured
+  // Razorpay payment of our gateway order; the refund webhook confirms it.
+  async refund({ paymentId, amount }) {
+    const { items } = await this.request('GET', `/orders/${paymentId}/payments`);
+    const captured = items.find(payment => payment.status === 'captured');
+    if (!captured) {
+      throw new Error(`Razorpay order ${paymentId} has no captured payment to refund`);
+    }
+    const refund = await this.request('POST', `/payments/${captured.id}/refund`, { amount: toMinorUnits(amount) });
+    return { id: refund.id };
+  }
+
+  parseWebhook(rawBody, headers) {
+    const expected = hmacSha256(this.webhookSecret, rawBody);
+    if (!signaturesMatch(expected, headers['x-razorpay-signature'])) {
+      throw new WebhookSignatureError();
+    }
+
+    const event = JSON.parse(rawBody.toString('utf8'));
+    const payment = event.payload?.payment?.entity;
+    // Razorpay sends the event id as a header; without it, fall back to the id
+    // of the entity the event is about, which is unique per event type
+    const entity = event.payload?.refund?.entity || payment || event.payload?.order?.entity;
+    const id = headers['x-razorpay-event-id']
+      || (entity?.id ? `${event.event}:${entity.id}` : crypto.createHash('sha256').update(rawBody).digest('hex'));
+    switch (event.event) {
+      case 'order.paid':
+      case 'payment.captured':
+        return { id, type: 'succeeded', paymentId: payment.order_id };
+      case 'payment.failed':
+        return { id, type: 'failed', paymentId: payment.order_id };
+      case 'refund.processed':
+        return { id, type: 'refunded', paymentId: payment.order_id };
+      default:
+        return { id, type: null };
+    }
+  }
+}
+
+module.exports = RazorpayProvider;
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+const hmacSha256 = (secret, payload) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Constant-time comparison of two hex signatures
+const signaturesMatch = (expected, received) => {
+  if (typeof received !== 'string' || expected.length !== received.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+// Amounts are stored in major units (e.g. 299.50); gateways want minor units
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+class WebhookSignatureError extends Error {
+  constructor(message = 'Invalid webhook signature') {
+    super(message);
+    this.name = 'WebhookSignatureError';
+  }
+}
+
+module.exports = { hmacSha256, signaturesMatch, toMinorUnits, WebhookSignatureError };
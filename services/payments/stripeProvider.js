@@ -0,0 +1,100 @@
+const {
+  hmacSha256,
+  signaturesMatch,
+  toMinorUnits,
+  WebhookSignatureError
+} = require('./signature');
+
+const API_URL = 'https://api.stripe.com/v1';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Flatten nested params into Stripe's form encoding (metadata[key]=value)
+const encodeForm = (params, prefix) => {
+  const pairs = [];
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      pairs.push(encodeForm(value, name));
+    } else {
+      pairs.push(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+    }
+  });
+  return pairs.filter(Boolean).join('&');
+};
+
+// Stripe PaymentIntents adapter
+class StripeProvider {
+  constructor({ secretKey, webhookSecret }) {
+    if (!secretKey || !webhookSecret) {
+      throw new Error('Stripe requires STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET');
+    }
+    this.name = 'stripe';
+    this.secretKey = secretKey;
+    this.webhookSecret = webhookSecret;
+  }
+
+  async request(path, params) {
+    const response = await fetch(`${API_URL}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: encodeForm(params)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(`Stripe error: ${data.error?.message || response.statusText}`);
+    }
+    return data;
+  }
+
+  async createPaymentIntent({ amount, currency, reference, metadata }) {
+    const intent = await this.request('/payment_intents', {
+      amount: toMinorUnits(amount),
+      currency: currency.toLowerCase(),
+      automatic_payment_methods: { enabled: true },
+      metadata: { reference, ...metadata }
+    });
+    return { id: intent.id, clientData: { clientSecret: intent.client_secret } };
+  }
+
+  // Give back a completed payment; the refund webhook confirms it
+  async refund({ paymentId, amount }) {
+    const refund = await this.request('/refunds', {
+      payment_intent: paymentId,
+      amount: toMinorUnits(amount)
+    });
+    return { id: refund.id };
+  }
+
+  parseWebhook(rawBody, headers) {
+    const header = headers['stripe-signature'] || '';
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t);
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new WebhookSignatureError('Webhook timestamp outside tolerance');
+    }
+    const expected = hmacSha256(this.webhookSecret, `${timestamp}.${rawBody.toString('utf8')}`);
+    if (!signaturesMatch(expected, parts.v1)) {
+      throw new WebhookSignatureError();
+    }
+
+    const event = JSON.parse(rawBody.toString('utf8'));
+    const object = event.data.object;
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        return { id: event.id, type: 'succeeded', paymentId: object.id };
+      case 'payment_intent.payment_failed':
+        return { id: event.id, type: 'failed', paymentId: object.id };
+      case 'charge.refunded':
+        return { id: event.id, type: 'refunded', paymentId: object.payment_intent };
+      default:
+        return { id: event.id, type: null };
+    }
+  }
+}
+
+module.exports = StripeProvider;
@@ -0,0 +1,69 @@
+const jwt = require('jsonwebtoken');
+const PdfDownload = require('../models/PdfDownload');
+const { getStorage } = require('./storage');
+
+// Download tokens travel in URLs, so they get their own audience and can't be
+// used as a session token
+const DOWNLOAD_AUDIENCE = 'pdf_download';
+
+const linkTtlSeconds = () => parseInt(process.env.PDF_LINK_TTL_SECONDS) || 300;
+
+const downloadFilename = (book) => `${book.title.replace(/[^\w\- ]+/g, '').trim() || 'book'}.pdf`;
+
+// Issue a short-lived link to a book's PDF. Storage backends that can sign
+// their own URLs (S3) serve the file directly; otherwise the link points at
+// our streaming endpoint with a signed token. With `download` the file is
+// served as an attachment to keep, rather than to read in the browser.
+const createDownloadLink = async (book, userId, { download = false } = {}) => {
+  const expiresIn = linkTtlSeconds();
+  const expiresAt = new Date(Date.now() + expiresIn * 1000);
+  const storage = getStorage();
+
+  if (typeof storage.getSignedUrl === 'function') {
+    const url = await storage.getSignedUrl(book.pdfKey, {
+      expiresIn,
+      filename: downloadFilename(book),
+      disposition: download ? 'attachment' : 'inline'
+    });
+    return { url, expiresAt };
+  }
+
+  const token = jwt.sign(
+    { purpose: 'pdf_download', userId, bookId: book._id.toString(), download },
+    process.env.JWT_SECRET,
+    { expiresIn, audience: DOWNLOAD_AUDIENCE }
+  );
+  return { url: `/api/books/${book._id}/pdf/file?token=${encodeURIComponent(token)}`, expiresAt };
+};
+
+// Check a streaming token was issued for this book; returns the user id and
+// whether it is a download link
+const verifyDownloadToken = (token, bookId) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: DOWNLOAD_AUDIENCE });
+    if (decoded.purpose !== 'pdf_download' || decoded.bookId !== bookId) {
+      return null;
+    }
+    return { userId: decoded.userId, download: Boolean(decoded.download) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Record a download event. Logging must never break a download.
+const logDownload = async ({ user, book, event, access, req }) => {
+  try {
+    await PdfDownload.create({
+      user,
+      book,
+      event,
+      access,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error('Failed to log PDF download:', error.message);
+  }
+};
+
+module.exports = { createDownloadLink, verifyDownloadToken, logDownload, downloadFilename };
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const { findPurchasedPdfBookIds } = require('./entitlementService');
+const { HttpError } = require('../utils/httpError');
+
+const REVIEW_FIELDS = ['rating', 'title', 'body'];
+
+const pickReviewFields = (source) => REVIEW_FIELDS.reduce((acc, field) => {
+  if (source[field] !== undefined) {
+    acc[field] = source[field];
+  }
+  return acc;
+}, {});
+
+// How a user is entitled to review a book: 'order' for a delivered order
+// containing it, 'pdf' for a purchased PDF, or null
+const reviewEligibility = async (userId, bookId) => {
+  const delivered = await Order.exists({ user: userId, status: 'delivered', 'items.book': bookId });
+  if (delivered) {
+    return 'order';
+  }
+  const purchased = await findPurchasedPdfBookIds(userId, [bookId]);
+  return purchased.length > 0 ? 'pdf' : null;
+};
+
+// Recalculate a book's rating from its published reviews
+const refreshBookRating = async (bookId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { book: new mongoose.Types.ObjectId(String(bookId)), status: 'published' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+  await Book.updateOne({ _id: bookId }, {
+    averageRating: stats ? Math.round(stats.average * 100) / 100 : 0,
+    ratingCount: stats ? stats.count : 0
+  });
+};
+
+// Count of published reviews for each star rating
+const ratingDistribution = async (bookId) => {
+  const counts = await Review.aggregate([
+    { $match: { book: new mongoose.Types.ObjectId(String(bookId)), status: 'published' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+  return [5, 4, 3, 2, 1].reduce((acc, rating) => {
+    const entry = counts.find(item => item._id === rating);
+    acc[rating] = entry ? entry.count : 0;
+    return acc;
+  }, {});
+};
+
+// A review as its author sees it. Reports stay private to moderators, as on
+// the public listing.
+const authorView = (review) => {
+  const { reports, ...view } = review.toObject();
+  return view;
+};
+
+const getBookOrFail = async (bookId) => {
+  const book = mongoose.isValidObjectId(bookId) ? await Book.findById(bookId).select('_id') : null;
+  if (!book) {
+    throw new HttpError(404, 'Book not found');
+  }
+  return book;
+};
+
+const createReview = async ({ user, bookId, data }) => {
+  const book = await getBookOrFail(bookId);
+  const verifiedBy = await reviewEligibility(user._id, book._id);
+  if (!verifiedBy) {
+    throw new HttpError(403, 'You can review a book once you have received it or bought its PDF');
+  }
+
+  let review;
+  try {
+    review = await Review.create({
+      ...pickReviewFields(data),
+      book: book._id,
+      user: user._id,
+      verifiedBy
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new HttpError(409, 'You have already reviewed this book');
+    }
+    throw error;
+  }
+
+  await refreshBookRating(book._id);
+  return authorView(review);
+};
+
+const findOwnReview = async (reviewId, userId) => {
+  const review = mongoose.isValidObjectId(reviewId) ? await Review.findById(reviewId) : null;
+  if (!review || !review.user.equals(userId)) {
+    throw new HttpError(404, 'Review not found');
+  }
+  return review;
+};
+
+const updateReview = async ({ user, reviewId, data }) => {
+  const review = await findOwnReview(reviewId, user._id);
+  review.set(pickReviewFields(data));
+  review.editedAt = new Date();
+  await review.save();
+  await refreshBookRating(review.book);
+  return authorView(review);
+};
+
+const deleteReview = async ({ user, reviewId }) => {
+  const review = await findOwnReview(reviewId, user._id);
+  await Review.deleteOne({ _id: review._id });
+  await refreshBookRating(review.book);
+};
+
+const findPublishedReview = async (reviewId) => {
+  const review = mongoose.isValidObjectId(reviewId)
+    ? await Review.findOne({ _id: reviewId, status: 'published' })
+    : null;
+  if (!review) {
+    throw new HttpError(404, 'Review not found');
+  }
+  return review;
+};
+
+// Mark a review helpful. Each user counts once and can't vote for their own.
+const voteHelpful = async ({ user, reviewId }) => {
+  const review = await findPublishedReview(reviewId);
+  if (review.user.equals(user._id)) {
+    throw new HttpError(400, 'You cannot vote on your own review');
+  }
+  await Review.updateOne(
+    { _id: review._id, helpfulVoters: { $ne: user._id } },
+    { $addToSet: { helpfulVoters: user._id }, $inc: { helpfulCount: 1 } }
+  );
+  return Review.findById(review._id);
+};
+
+const removeHelpfulVote = async ({ user, reviewId }) => {
+  const review = await findPublishedReview(reviewId);
+  await Review.updateOne(
+    { _id: review._id, helpfulVoters: user._id },
+    { $pull: { helpfulVoters: user._id }, $inc: { helpfulCount: -1 } }
+  );
+  return Review.findById(review._id);
+};
+
+// Report a review to the moderators. Each user can report a review once.
+const reportReview = async ({ user, reviewId, reason }) => {
+  const review = await findPublishedReview(reviewId);
+  if (review.user.equals(user._id)) {
+    throw new HttpError(400, 'You cannot report your own review');
+  }
+  const result = await Review.updateOne(
+    { _id: review._id, 'reports.user': { $ne: user._id } },
+    {
+      $push: { reports: { user: user._id, reason } },
+      $inc: { reportCount: 1 },
+      $set: { needsModeration: true }
+    }
+  );
+  if (result.modifiedCount === 0) {
+    throw new HttpError(409, 'You have already reported this review');
+  }
+};
+
+// Publish or hide a review and take it out of the moderation queue
+const moderateReview = async ({ moderator, reviewId, action, note }) => {
+  const review = mongoose.isValidObjectId(reviewId) ? await Review.findById(reviewId) : null;
+  if (!review) {
+    throw new HttpError(404, 'Review not found');
+  }
+
+  const before = review.toObject();
+  review.status = action === 'hide' ? 'hidden' : 'published';
+  review.needsModeration = false;
+  review.moderatedBy = moderator._id;
+  review.moderatedAt = new Date();
+  review.moderationNote = note;
+  await review.save();
+
+  if (before.status !== review.status) {
+    await refreshBookRating(review.book);
+  }
+  return { before, review };
+};
+
+module.exports = {
+  reviewEligibility,
+  refreshBookRating,
+  ratingDistribution,
+  createReview,
+  updateReview,
+  deleteReview,
+  voteHelpful,
+  removeHelpfulVote,
+  reportReview,
+  moderateReview
+};
@@ -0,0 +1,49 @@
+const Role = require('../models/Role');
+const { ADMIN_ROLE } = require('../config/permissions');
+
+const getRole = (key) => Role.findOne({ key });
+
+// Keys of the roles that can use the admin API
+const staffRoleKeys = async () => {
+  const roles = await Role.find({ isStaff: true }).select('key');
+  return roles.map(role => role.key);
+};
+
+const isStaffRole = async (key) => Boolean(await Role.exists({ key, isStaff: true }));
+
+// The permissions a user actually has: their role's, plus any granted to
+// them individually, minus any revoked. Users with a permission list from
+// before roles were stored keep exactly that list until it's migrated.
+const resolvePermissions = async (user, role) => {
+  role = role || await getRole(user.role);
+  if (!role) {
+    return [];
+  }
+
+  const extra = user.grantedPermissions || [];
+  const revoked = role.key === ADMIN_ROLE ? [] : user.revokedPermissions || [];
+  const legacy = user.permissions || [];
+  if (role.key !== ADMIN_ROLE && legacy.length > 0 && extra.length === 0 && revoked.length === 0) {
+    return [...legacy];
+  }
+
+  return [...new Set([...role.grantedPermissions(), ...extra])]
+    .filter(permission => !revoked.includes(permission));
+};
+
+// Express a full permission list as overrides on top of a role
+const overridesFor = (role, permissions) => {
+  const fromRole = role.grantedPermissions();
+  return {
+    grantedPermissions: permissions.filter(permission => !fromRole.includes(permission)),
+    revokedPermissions: fromRole.filter(permission => !permissions.includes(permission))
+  };
+};
+
+module.exports = {
+  getRole,
+  staffRoleKeys,
+  isStaffRole,
+  resolvePermissions,
+  overridesFor
+};
@@ -0,0 +1,40 @@
+const LocalStorage = require('./localStorage');
+const S3Storage = require('./s3Storage');
+
+let storage;
+
+// Build the storage driver selected by STORAGE_DRIVER (local or s3)
+const createStorage = (env = process.env) => {
+  switch (env.STORAGE_DRIVER || 'local') {
+    case 'local':
+      return new LocalStorage({ root: env.STORAGE_LOCAL_DIR || 'uploads' });
+    case 's3':
+      return new S3Storage({
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION,
+        endpoint: env.S3_ENDPOINT,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE !== undefined
+          ? env.S3_FORCE_PATH_STYLE === 'true'
+          : undefined
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${env.STORAGE_DRIVER}`);
+  }
+};
+
+// Shared storage instance, created on first use
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+// Replace the shared instance, e.g. with a temporary directory in scripts
+const setStorage = (instance) => {
+  storage = instance;
+};
+
+module.exports = { createStorage, getStorage, setStorage };
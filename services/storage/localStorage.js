@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores files in a directory on the local disk
+class LocalStorage {
+  constructor({ root }) {
+    this.root = path.resolve(root);
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  // Move a file from a local path into storage
+  async save(key, sourcePath) {
+    const target = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await fs.promises.rename(sourcePath, target);
+    } catch (error) {
+      // rename fails across devices, e.g. from a tmpfs upload directory
+      if (error.code !== 'EXDEV') throw error;
+      await fs.promises.copyFile(sourcePath, target);
+      await fs.promises.unlink(sourcePath);
+    }
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async stat(key) {
+    const stats = await fs.promises.stat(this.resolve(key));
+    return { size: stats.size, lastModified: stats.mtime };
+  }
+
+  // Read a file, optionally limited to an inclusive byte range
+  async createReadStream(key, { start, end } = {}) {
+    return fs.createReadStream(this.resolve(key), { start, end });
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  GetObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, ...)
+class S3Storage {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+    if (!bucket) {
+      throw new Error('S3 storage requires a bucket');
+    }
+
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      endpoint,
+      // MinIO and most self-hosted endpoints only support path-style URLs
+      forcePathStyle: forcePathStyle !== undefined ? forcePathStyle : Boolean(endpoint),
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  // Upload a file from a local path, removing the local copy afterwards
+  async save(key, sourcePath, { contentType } = {}) {
+    const { size } = await fs.promises.stat(sourcePath);
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: fs.createReadStream(sourcePath),
+      ContentLength: size,
+      ContentType: contentType
+    }));
+    await fs.promises.unlink(sourcePath);
+  }
+
+  async remove(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  async stat(key) {
+    const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+    return { size: head.ContentLength, lastModified: head.LastModified };
+  }
+
+  // Read an object, optionally limited to an inclusive byte range
+  async createReadStream(key, { start, end } = {}) {
+    const range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+    const object = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Range: range
+    }));
+    return object.Body;
+  }
+
+  // Presigned GET URL so clients download straight from the bucket
+  async getSignedUrl(key, { expiresIn, filename, disposition = 'inline' } = {}) {
+    return getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ResponseContentDisposition: filename ? `${disposition}; filename="${filename}"` : undefined
+    }), { expiresIn });
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = S3Storage;
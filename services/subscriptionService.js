@@ -0,0 +1,170 @@
+const Payment = require('../models/Payment');
+const Plan = require('../models/Plan');
+const Subscription = require('../models/Subscription');
+const {
+  createSubscriptionPayment,
+  activateSubscription
+} = require('./paymentService');
+const { releaseRedemptions } = require('./couponService');
+const { HttpError } = require('../utils/httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// How long a subscription payment may stay open before it counts as abandoned
+const paymentTimeoutMs = () => (parseInt(process.env.SUBSCRIPTION_PAYMENT_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+
+// Current active subscription for a user, if any
+const findActiveSubscription = (userId) => Subscription.findOne({
+  user: userId,
+  status: 'active',
+  endDate: { $gt: new Date() }
+});
+
+// Remove a user's subscriptions that were never paid for, giving back any
+// coupon uses they held. Only attempts whose payment failed or was abandoned
+// are removed: while a payment is still in flight its webhook must find the
+// subscription to activate, so a new attempt is refused instead.
+const discardPendingSubscriptions = async (userId) => {
+  const pending = await Subscription.find({ user: userId, status: 'pending' }).select('_id');
+  if (pending.length === 0) return;
+
+  const ids = pending.map(subscription => subscription._id);
+  const inFlight = await Payment.exists({
+    subscription: { $in: ids },
+    status: 'pending',
+    createdAt: { $gt: new Date(Date.now() - paymentTimeoutMs()) }
+  });
+  if (inFlight) {
+    throw new HttpError(409, 'A subscription payment is still in progress. Complete it or try again later.');
+  }
+
+  await releaseRedemptions({ subscription: { $in: ids } });
+  await Subscription.deleteMany({ _id: { $in: ids } });
+};
+
+// End of the period the customer has actually paid for. During a renewal
+// grace period endDate is pushed out, but the paid period ended earlier.
+const paidPeriodEnd = (subscription) =>
+  (subscription.renewal && subscription.renewal.periodEnd) || subscription.endDate;
+
+// Price per day, so monthly and yearly plans can be compared
+const dailyRate = (price, start, end) => price / Math.max((end - start) / DAY_MS, 1);
+
+const cancelScheduledChange = (subscription) => {
+  const scheduled = subscription.scheduledPlanChange();
+  if (scheduled) {
+    scheduled.status = 'cancelled';
+  }
+  return scheduled;
+};
+
+// Upgrade now: start a new period on the target plan, charging its price
+// minus the unused part of what was paid for the current period. The current
+// subscription is closed when the new one is paid for.
+const upgrade = async (current, target, now) => {
+  const periodEnd = paidPeriodEnd(current);
+  const periodMs = periodEnd - current.startDate;
+  const remainingMs = Math.max(0, periodEnd - now);
+  const credit = periodMs > 0 ? roundCurrency(current.amountDue() * remainingMs / periodMs) : 0;
+  const amountCharged = Math.max(0, roundCurrency(target.price - credit));
+
+  // Drop earlier attempts that were never paid for
+  await discardPendingSubscriptions(current.user);
+
+  const subscription = new Subscription({
+    user: current.user,
+    plan: target.key,
+    planName: target.name,
+    price: target.price,
+    amountCharged,
+    features: target.features,
+    billingInterval: target.interval,
+    status: 'pending',
+    startDate: now,
+    endDate: target.periodEnd(now),
+    autoRenew: current.autoRenew,
+    changedFrom: current._id,
+    planChanges: [{
+      type: 'upgrade',
+      fromPlan: current.plan,
+      toPlan: target.key,
+      status: 'pending_payment',
+      requestedAt: now,
+      credit,
+      amountCharged
+    }]
+  });
+  await subscription.save();
+
+  if (cancelScheduledChange(current)) {
+    await current.save();
+  }
+
+  if (amountCharged === 0) {
+    return { type: 'upgrade', subscription: await activateSubscription(subscription._id) };
+  }
+
+  const payment = await createSubscriptionPayment(subscription);
+  return { type: 'upgrade', subscription, payment };
+};
+
+// Downgrade at the end of the period: renewal picks up the scheduled plan,
+// with auto-renew on or off
+const scheduleDowngrade = async (current, target, now) => {
+  cancelScheduledChange(current);
+  current.planChanges.push({
+    type: 'downgrade',
+    fromPlan: current.plan,
+    toPlan: target.key,
+    status: 'scheduled',
+    requestedAt: now,
+    effectiveAt: paidPeriodEnd(current)
+  });
+  await current.save();
+
+  return { type: 'downgrade', subscription: current };
+};
+
+// Move a user's active subscription to another plan
+const changePlan = async ({ userId, planKey }) => {
+  const now = new Date();
+  const current = await findActiveSubscription(userId);
+  if (!current) {
+    throw new HttpError(404, 'No active subscription found');
+  }
+
+  const target = await Plan.findOne({ key: planKey, status: 'active' });
+  if (!target) {
+    throw new HttpError(400, 'Invalid subscription plan');
+  }
+  if (target.key === current.plan) {
+    throw new HttpError(400, 'You are already subscribed to this plan');
+  }
+
+  const currentRate = dailyRate(current.price, current.startDate, paidPeriodEnd(current));
+  const targetRate = dailyRate(target.price, now, target.periodEnd(now));
+
+  return targetRate > currentRate
+    ? upgrade(current, target, now)
+    : scheduleDowngrade(current, target, now);
+};
+
+// Withdraw a downgrade that hasn't taken effect yet
+const cancelPlanChange = async ({ userId }) => {
+  const current = await findActiveSubscription(userId);
+  if (!current || !cancelScheduledChange(current)) {
+    throw new HttpError(404, 'No scheduled plan change found');
+  }
+
+  await current.save();
+  return current;
+};
+
+module.exports = {
+  findActiveSubscription,
+  discardPendingSubscriptions,
+  changePlan,
+  cancelPlanChange
+};
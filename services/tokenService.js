@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { HttpError } = require('../utils/httpError');
+
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const refreshTokenTtlDays = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Access tokens carry type 'access'. Other JWTs signed with JWT_SECRET (login
+// challenges, download links) have their own audience and no type, so they
+// are never accepted as a session.
+const ACCESS_TOKEN_TYPE = 'access';
+
+const signAccessToken = (user) => jwt.sign(
+  { type: ACCESS_TOKEN_TYPE, userId: user._id, email: user.email, tokenVersion: user.tokenVersion || 0 },
+  process.env.JWT_SECRET,
+  { expiresIn: accessTokenTtl() }
+);
+
+// Decode an access token; throws for anything that isn't one
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.type !== ACCESS_TOKEN_TYPE || decoded.aud !== undefined) {
+    throw new jwt.JsonWebTokenError('Not an access token');
+  }
+  return decoded;
+};
+
+// Whether a decoded access token is still valid for this user. Tokens issued
+// before the user's token version was bumped are rejected.
+const isTokenCurrent = (decoded, user) => (decoded.tokenVersion || 0) === (user.tokenVersion || 0);
+
+const createRefreshToken = async (user, req, family) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    tokenVersion: user.tokenVersion || 0,
+    expiresAt: new Date(Date.now() + refreshTokenTtlDays() * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+  return token;
+};
+
+// Access and refresh token pair for a freshly authenticated user
+const issueTokens = async (user, req) => ({
+  token: signAccessToken(user),
+  refreshToken: await createRefreshToken(user, req),
+  expiresIn: accessTokenTtl()
+});
+
+const revokeFamily = (family) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { revokedAt: new Date() }
+);
+
+// Exchange a refresh token for a new pair. Presenting a token that was
+// already rotated means it leaked, so its whole family is revoked.
+const rotateRefreshToken = async (token, req) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(String(token)) });
+  if (!stored || stored.expiresAt <= new Date()) {
+    throw new HttpError(401, 'Invalid refresh token');
+  }
+
+  if (stored.revokedAt) {
+    await revokeFamily(stored.family);
+    throw new HttpError(401, 'Invalid refresh token');
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || user.isActive === false || stored.tokenVersion !== (user.tokenVersion || 0)) {
+    await revokeFamily(stored.family);
+    throw new HttpError(401, 'Invalid refresh token');
+  }
+
+  const refreshToken = await createRefreshToken(user, req, stored.family);
+  // Only one request can rotate a given token
+  const rotated = await RefreshToken.updateOne(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date(), replacedBy: hashToken(refreshToken) }
+  );
+  if (rotated.modifiedCount === 0) {
+    await revokeFamily(stored.family);
+    throw new HttpError(401, 'Invalid refresh token');
+  }
+
+  return {
+    token: signAccessToken(user),
+    refreshToken,
+    expiresIn: accessTokenTtl(),
+    user
+  };
+};
+
+// Log out one session by revoking its refresh token family
+const revokeRefreshToken = async (token) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(String(token)) });
+  if (stored) {
+    await revokeFamily(stored.family);
+  }
+};
+
+// Invalidate every token a user holds: bump the token version so access
+// tokens stop working, and revoke all refresh tokens. Used for "log out
+// everywhere", password changes, role changes and deactivation.
+const invalidateUserTokens = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  isTokenCurrent,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  invalidateUserTokens
+};
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { generateSecret, verifyCode, provisioningUri } = require('../utils/totp');
+const { invalidateUserTokens } = require('./tokenService');
+const { isStaffRole } = require('./roleService');
+const { HttpError } = require('../utils/httpError');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+const CHALLENGE_AUDIENCE = 'two_factor_login';
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep';
+
+const issuer = () => process.env.TWO_FACTOR_ISSUER || 'Bookstore';
+
+const hashCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+// Whether the user must have 2FA enabled before using the admin API. Set
+// REQUIRE_STAFF_2FA=true to make it mandatory for every staff role. Pass the
+// user's role if it's already loaded.
+const isTwoFactorRequired = async (user, role) => {
+  if (process.env.REQUIRE_STAFF_2FA !== 'true') {
+    return false;
+  }
+  return role ? role.isStaff : isStaffRole(user.role);
+};
+
+const loadWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+// Recovery codes are shown once; only their hashes are kept
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashCode) };
+};
+
+const getTwoFactorStatus = async (user) => {
+  const stored = await loadWithSecrets(user._id);
+  return {
+    enabled: Boolean(stored.twoFactor && stored.twoFactor.enabled),
+    enabledAt: stored.twoFactor ? stored.twoFactor.enabledAt : undefined,
+    required: await isTwoFactorRequired(stored),
+    recoveryCodesRemaining: stored.twoFactor && stored.twoFactor.recoveryCodeHashes
+      ? stored.twoFactor.recoveryCodeHashes.length
+      : 0
+  };
+};
+
+// Start enrollment with a fresh secret. 2FA isn't enabled until a code from
+// the authenticator app is confirmed.
+const startEnrollment = async (user) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    throw new HttpError(409, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+
+  return {
+    secret,
+    otpauthUrl: provisioningUri({ secret, account: user.email, issuer: issuer() })
+  };
+};
+
+// Enable 2FA once the user proves their app has the secret. Other sessions
+// are logged out; the caller issues new tokens.
+const confirmEnrollment = async (user, code) => {
+  const stored = await loadWithSecrets(user._id);
+  if (stored.twoFactor.enabled) {
+    throw new HttpError(409, 'Two-factor authentication is already enabled');
+  }
+  if (!stored.twoFactor.pendingSecret) {
+    throw new HttpError(400, 'Start two-factor setup first');
+  }
+
+  const step = verifyCode(stored.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw new HttpError(400, 'Invalid verification code');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      'twoFactor.enabled': true,
+      'twoFactor.enabledAt': new Date(),
+      'twoFactor.secret': stored.twoFactor.pendingSecret,
+      'twoFactor.recoveryCodeHashes': hashes,
+      'twoFactor.lastUsedStep': step
+    },
+    $unset: { 'twoFactor.pendingSecret': 1 }
+  });
+  await invalidateUserTokens(user._id);
+
+  return codes;
+};
+
+// Check a TOTP code or, failing that, a recovery code. Each TOTP step and each
+// recovery code is accepted once.
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const stored = await loadWithSecrets(userId);
+  if (!stored || !stored.twoFactor.enabled) {
+    return false;
+  }
+
+  if (code) {
+    const step = verifyCode(stored.twoFactor.secret, code);
+    if (step === null) {
+      return false;
+    }
+    const result = await User.updateOne(
+      {
+        _id: userId,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+          { 'twoFactor.lastUsedStep': { $exists: false } }
+        ]
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const hash = hashCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.recoveryCodeHashes': hash },
+      { $pull: { 'twoFactor.recoveryCodeHashes': hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+};
+
+// Replace the user's recovery codes after checking a current TOTP code
+const regenerateRecoveryCodes = async (user, code) => {
+  if (!(await verifySecondFactor(user._id, { code }))) {
+    throw new HttpError(400, 'Invalid verification code');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.recoveryCodeHashes': hashes });
+  return codes;
+};
+
+// Turn 2FA off. Needs the password and a current code or recovery code, and
+// isn't allowed where 2FA is mandatory.
+const disableTwoFactor = async (user, { password, code, recoveryCode }) => {
+  if (await isTwoFactorRequired(user)) {
+    throw new HttpError(403, 'Two-factor authentication is required for your role');
+  }
+  if (!(await user.comparePassword(password))) {
+    throw new HttpError(400, 'Password is incorrect');
+  }
+  if (!(await verifySecondFactor(user._id, { code, recoveryCode }))) {
+    throw new HttpError(400, 'Invalid verification code');
+  }
+
+  await User.updateOne({ _id: user._id }, {
+    $set: { 'twoFactor.enabled': false },
+    $unset: {
+      'twoFactor.enabledAt': 1,
+      'twoFactor.secret': 1,
+      'twoFactor.recoveryCodeHashes': 1,
+      'twoFactor.lastUsedStep': 1
+    }
+  });
+  await invalidateUserTokens(user._id);
+};
+
+// Short-lived token proving the password step of a login succeeded
+const createLoginChallenge = (user) => jwt.sign(
+  { purpose: 'two_factor_login', userId: user._id, tokenVersion: user.tokenVersion || 0 },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL, audience: CHALLENGE_AUDIENCE }
+);
+
+// The user a login challenge was issued to, or null if it's invalid
+const verifyLoginChallenge = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
+  if (decoded.purpose !== 'two_factor_login') {
+    return null;
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user || (decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+    return null;
+  }
+  return user;
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createLoginChallenge,
+  verifyLoginChallenge
+};
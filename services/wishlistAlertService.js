@@ -0,0 +1,61 @@
+const Wishlist = require('../models/Wishlist');
+const { notify } = require('./notifier');
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const formatPrice = (price) => Number(price).toFixed(2);
+
+// Work out which wishlist alerts a change to a book should trigger
+const alertsFor = (before, book) => {
+  const alerts = [];
+  if (before.stock <= 0 && book.stock > 0) {
+    alerts.push({ event: 'backInStock', preference: 'notifyBackInStock' });
+  }
+  if (book.price < before.price) {
+    alerts.push({ event: 'priceDrop', preference: 'notifyPriceDrop' });
+  }
+  return alerts;
+};
+
+// Notify everyone who wishlisted a book that it is back in stock or cheaper.
+// `before` is the book as it was before the change.
+const notifyWishlistChanges = async (before, book) => {
+  const alerts = alertsFor(before, book);
+  if (alerts.length === 0) {
+    return 0;
+  }
+
+  const wishlists = await Wishlist.find({ 'items.book': book._id })
+    .populate('user', 'name email isActive');
+  const data = {
+    bookId: book._id.toString(),
+    title: book.title,
+    price: formatPrice(book.price),
+    oldPrice: formatPrice(before.price),
+    bookUrl: `${appUrl()}/books/${book._id}`
+  };
+
+  let sent = 0;
+  for (const wishlist of wishlists) {
+    const item = wishlist.findItem(book._id);
+    if (!wishlist.user || !wishlist.user.isActive || !item) {
+      continue;
+    }
+    for (const alert of alerts) {
+      if (item[alert.preference]) {
+        await notify(wishlist.user, alert.event, data);
+        sent += 1;
+      }
+    }
+  }
+  return sent;
+};
+
+// Send alerts without holding up the caller; failures are only logged
+const notifyWishlistChangesInBackground = (before, book) => {
+  notifyWishlistChanges(before, book).catch(error => {
+    console.error('Failed to send wishlist alerts:', error.message);
+  });
+};
+
+module.exports = { alertsFor, notifyWishlistChanges, notifyWishlistChangesInBackground };
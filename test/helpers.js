@@ -0,0 +1,74 @@
+const { mock } = require('node:test');
+const Book = require('../models/Book');
+
+// Minimal doubles for exercising middleware, handlers and services without
+// starting the server or a database
+
+const mockRequest = ({ headers = {}, body = {}, params = {}, query = {}, user, ip = '127.0.0.1' } = {}) => {
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+  return {
+    headers: lowerHeaders,
+    body,
+    params,
+    query,
+    user,
+    ip,
+    header: (name) => lowerHeaders[name.toLowerCase()],
+    get: (name) => lowerHeaders[name.toLowerCase()]
+  };
+};
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: undefined, headers: {} };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  return res;
+};
+
+// Run a middleware; resolves with whether it called next()
+const runMiddleware = async (middleware, req, res) => {
+  let calledNext = false;
+  await middleware(req, res, () => {
+    calledNext = true;
+  });
+  return calledNext;
+};
+
+// Books kept in memory, with just enough of the query API for the ledger
+const fakeCatalog = (books) => {
+  const byId = new Map(books.map(book => [book._id.toString(), book]));
+  const matches = (book, filter) => {
+    if (filter.stock === undefined) return true;
+    if (typeof filter.stock === 'number') return book.stock === filter.stock;
+    return book.stock >= filter.stock.$gte;
+  };
+
+  mock.method(Book, 'findOneAndUpdate', async (filter, update) => {
+    const book = byId.get(filter._id.toString());
+    if (!book || !matches(book, filter)) return null;
+    book.stock += update.$inc.stock;
+    return { ...book };
+  });
+  mock.method(Book, 'updateOne', async (filter, update) => {
+    byId.get(filter._id.toString()).stock += update.$inc.stock;
+    return { modifiedCount: 1 };
+  });
+  mock.method(Book, 'findById', (id) => {
+    const book = byId.get(id.toString());
+    const result = book ? { ...book } : null;
+    return { select: async () => result, then: (resolve) => resolve(result) };
+  });
+  return byId;
+};
+
+module.exports = { mockRequest, mockResponse, runMiddleware, fakeCatalog };
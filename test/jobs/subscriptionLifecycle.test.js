@@ -0,0 +1,106 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Payment = require('../../models/Payment');
+const Plan = require('../../models/Plan');
+const Subscription = require('../../models/Subscription');
+const User = require('../../models/User');
+const { setTransport } = require('../../services/mailer');
+const { setPaymentProvider } = require('../../services/payments');
+const { runSubscriptionLifecycle } = require('../../jobs/subscriptionLifecycle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('subscription lifecycle job', () => {
+  let now;
+  let due;
+
+  beforeEach(() => {
+    now = new Date();
+    due = new Subscription({
+      user: new mongoose.Types.ObjectId(),
+      plan: 'basic',
+      planName: 'Basic',
+      price: 300,
+      status: 'active',
+      startDate: new Date(now.getTime() - 30 * DAY_MS),
+      endDate: new Date(now.getTime() - 1000),
+      autoRenew: true
+    });
+
+    mock.method(Subscription, 'updateMany', async () => ({ modifiedCount: 0 }));
+    mock.method(Subscription, 'find', () => ({ sort: () => ({ limit: async () => [due] }) }));
+    mock.method(Subscription, 'findOneAndUpdate', async () => due);
+    mock.method(Subscription, 'deleteOne', async () => ({}));
+    mock.method(Subscription.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(Plan, 'findOne', async () => new Plan({ key: 'basic', name: 'Basic', price: 300, interval: 'month' }));
+    mock.method(Payment, 'create', async (doc) => doc);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps the current period active while a renewal charge is pending', async () => {
+    setPaymentProvider({
+      name: 'mock',
+      chargeOffSession: async () => ({ id: 'mock_pay_1', status: 'pending' })
+    });
+
+    const summary = await runSubscriptionLifecycle({ now });
+    assert.strictEqual(summary.pending, 1);
+    assert.strictEqual(due.status, 'active');
+    assert.ok(due.endDate > now, 'access continues through the grace period');
+  });
+
+  it('closes the current period once the renewal is charged', async () => {
+    setPaymentProvider({
+      name: 'mock',
+      chargeOffSession: async () => ({ id: 'mock_pay_1', status: 'succeeded' })
+    });
+
+    const summary = await runSubscriptionLifecycle({ now });
+    assert.strictEqual(summary.renewed, 1);
+    assert.strictEqual(due.status, 'expired');
+  });
+
+  it('emails a payment link when the provider cannot charge off-session', async () => {
+    const createPaymentIntent = mock.fn(async () => ({ id: 'pi_1', clientData: { clientSecret: 'secret' } }));
+    setPaymentProvider({ name: 'stripe', createPaymentIntent });
+    mock.method(User, 'findById', () => ({ select: async () => ({ name: 'Reader', email: 'reader@example.com' }) }));
+    const sent = [];
+    setTransport({ send: async (message) => sent.push(message) });
+
+    const summary = await runSubscriptionLifecycle({ now });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(summary.pending, 1);
+    assert.strictEqual(due.status, 'active');
+    assert.ok(due.endDate > now, 'access continues through the grace period');
+    assert.strictEqual(createPaymentIntent.mock.calls[0].arguments[0].amount, 300);
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].to, 'reader@example.com');
+    assert.match(sent[0].text, /\/subscription\/renew\//);
+  });
+
+  it('moves a subscription with auto-renew off onto its scheduled downgrade', async () => {
+    due.autoRenew = false;
+    due.planChanges.push({ type: 'downgrade', fromPlan: 'basic', toPlan: 'lite', status: 'scheduled', requestedAt: now });
+    Plan.findOne.mock.mockImplementation(async ({ key }) => new Plan({ key, name: 'Lite', price: 100, interval: 'month' }));
+    const chargeOffSession = mock.fn();
+    const createPaymentIntent = mock.fn(async () => ({ id: 'pay_1', clientData: {} }));
+    setPaymentProvider({ name: 'mock', chargeOffSession, createPaymentIntent });
+    mock.method(User, 'findById', () => ({ select: async () => null }));
+
+    const summary = await runSubscriptionLifecycle({ now });
+
+    const lapsing = Subscription.updateMany.mock.calls[0].arguments[0];
+    assert.strictEqual(lapsing['planChanges.status'].$ne, 'scheduled');
+    assert.strictEqual(summary.pending, 1);
+    assert.strictEqual(chargeOffSession.mock.callCount(), 0);
+    assert.strictEqual(createPaymentIntent.mock.calls[0].arguments[0].amount, 100);
+    assert.strictEqual(due.status, 'active');
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../../models/User');
+const Role = require('../../models/Role');
+const auth = require('../../middleware/auth');
+const { adminAuth } = require('../../middleware/adminAuth');
+const { signAccessToken } = require('../../services/tokenService');
+const { createLoginChallenge } = require('../../services/twoFactorService');
+const { createDownloadLink, verifyDownloadToken } = require('../../services/pdfDownloadService');
+const { setStorage } = require('../../services/storage');
+const { mockRequest, mockResponse, runMiddleware } = require('../helpers');
+
+const bearer = (token) => mockRequest({ headers: { Authorization: `Bearer ${token}` } });
+
+describe('auth middlewares', () => {
+  let user;
+
+  beforeEach(() => {
+    user = new User({ name: 'Admin', email: 'admin@example.com', password: 'x', role: 'admin' });
+    mock.method(User, 'findById', async () => user);
+    mock.method(Role, 'findOne', async () => new Role({ key: 'admin', name: 'Admin', isStaff: true }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  for (const [name, middleware] of [['auth', auth], ['adminAuth', adminAuth]]) {
+    describe(name, () => {
+      it('accepts an access token', async () => {
+        const req = bearer(signAccessToken(user));
+        const res = mockResponse();
+        assert.strictEqual(await runMiddleware(middleware, req, res), true);
+        assert.strictEqual(req.user, user);
+      });
+
+      it('rejects a missing token', async () => {
+        const res = mockResponse();
+        assert.strictEqual(await runMiddleware(middleware, mockRequest(), res), false);
+        assert.strictEqual(res.statusCode, 401);
+      });
+
+      it('rejects a two-factor login challenge', async () => {
+        const res = mockResponse();
+        assert.strictEqual(await runMiddleware(middleware, bearer(createLoginChallenge(user)), res), false);
+        assert.strictEqual(res.statusCode, 401);
+      });
+
+      it('rejects a PDF download token', async () => {
+        setStorage({});
+        const book = { _id: new mongoose.Types.ObjectId(), title: 'Book' };
+        const { url } = await createDownloadLink(book, user._id);
+        const token = decodeURIComponent(url.split('token=')[1]);
+
+        const res = mockResponse();
+        assert.strictEqual(await runMiddleware(middleware, bearer(token), res), false);
+        assert.strictEqual(res.statusCode, 401);
+      });
+
+      it('rejects an access token issued before the token version changed', async () => {
+        const token = signAccessToken(user);
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+
+        const res = mockResponse();
+        assert.strictEqual(await runMiddleware(middleware, bearer(token), res), false);
+        assert.strictEqual(res.statusCode, 401);
+      });
+    });
+  }
+});
+
+describe('PDF download tokens', () => {
+  it('are only valid for their own book', async () => {
+    setStorage({});
+    const userId = new mongoose.Types.ObjectId().toString();
+    const book = { _id: new mongoose.Types.ObjectId(), title: 'Book' };
+    const { url } = await createDownloadLink(book, userId);
+    const token = decodeURIComponent(url.split('token=')[1]);
+
+    assert.deepStrictEqual(verifyDownloadToken(token, book._id.toString()), { userId, download: false });
+    assert.strictEqual(verifyDownloadToken(token, new mongoose.Types.ObjectId().toString()), null);
+  });
+
+  it('do not accept access tokens', () => {
+    const user = new User({ name: 'Reader', email: 'reader@example.com', password: 'x' });
+    const bookId = new mongoose.Types.ObjectId().toString();
+    assert.strictEqual(verifyDownloadToken(signAccessToken(user), bookId), null);
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Plan = require('../../models/Plan');
+const Subscription = require('../../models/Subscription');
+const { requireFeature } = require('../../middleware/requireFeature');
+const { mockRequest, mockResponse, runMiddleware } = require('../helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const subscriptionWith = (features) => new Subscription({
+  user: new mongoose.Types.ObjectId(),
+  plan: 'basic',
+  planName: 'Basic Plan',
+  price: 300,
+  features,
+  status: 'active',
+  startDate: new Date(Date.now() - DAY_MS),
+  endDate: new Date(Date.now() + DAY_MS)
+});
+
+describe('requireFeature', () => {
+  let subscription;
+  let req;
+
+  beforeEach(() => {
+    subscription = null;
+    req = mockRequest({ user: { _id: new mongoose.Types.ObjectId() } });
+    mock.method(Subscription, 'findOne', async () => subscription);
+    mock.method(Plan, 'find', () => ({
+      sort: () => ({ select: async () => [{ key: 'premium', name: 'Premium Plan', price: 900 }] })
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lets subscribers whose plan has the feature through', async () => {
+    subscription = subscriptionWith(['pdf_access', 'offline_reading']);
+    const res = mockResponse();
+    assert.strictEqual(await runMiddleware(requireFeature('offline_reading'), req, res), true);
+  });
+
+  it('refuses subscribers whose plan lacks the feature with 403', async () => {
+    subscription = subscriptionWith(['pdf_access']);
+    const res = mockResponse();
+    assert.strictEqual(await runMiddleware(requireFeature('exclusive_content'), req, res), false);
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.body.code, 'feature_not_in_plan');
+    assert.strictEqual(res.body.requiredPlan.key, 'premium');
+  });
+
+  it('asks callers without a subscription to subscribe with 402', async () => {
+    const res = mockResponse();
+    assert.strictEqual(await runMiddleware(requireFeature('offline_reading'), req, res), false);
+    assert.strictEqual(res.statusCode, 402);
+    assert.strictEqual(res.body.code, 'subscription_required');
+  });
+
+  it('rejects unknown feature keys when routes are defined', () => {
+    assert.throws(() => requireFeature('no_such_feature'), /Unknown feature/);
+  });
+});
+
+describe('feature-gated book routes', () => {
+  const express = require('express');
+  const User = require('../../models/User');
+  const { signAccessToken } = require('../../services/tokenService');
+  let server;
+  let baseUrl;
+  let token;
+
+  beforeEach(async () => {
+    process.env.JWT_SECRET = 'test-secret';
+    const user = new User({ name: 'Reader', email: 'reader@example.com', password: 'x', emailVerified: true });
+    token = signAccessToken(user);
+    mock.method(User, 'findById', async () => user);
+    mock.method(Subscription, 'findOne', async () => subscriptionWith(['pdf_access']));
+    mock.method(Plan, 'find', () => ({ sort: () => ({ select: async () => [] }) }));
+
+    const app = express();
+    app.use('/api/books', require('../../routes/books'));
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/books`;
+  });
+
+  afterEach(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  for (const path of ['/exclusive', `/exclusive/${new mongoose.Types.ObjectId()}`, `/${new mongoose.Types.ObjectId()}/pdf/offline`]) {
+    it(`refuses ${path} to a plan without the feature`, async () => {
+      const response = await fetch(`${baseUrl}${path}`, { headers: { Authorization: `Bearer ${token}` } });
+      assert.strictEqual(response.status, 403);
+      assert.strictEqual((await response.json()).code, 'feature_not_in_plan');
+    });
+  }
+});
@@ -0,0 +1,44 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const User = require('../../models/User');
+const { requireVerifiedEmail } = require('../../middleware/requireVerifiedEmail');
+const { mockRequest, mockResponse, runMiddleware } = require('../helpers');
+
+const userWith = (emailVerified) => new User({ name: 'Reader', email: 'reader@example.com', password: 'x', emailVerified });
+
+describe('requireVerifiedEmail', () => {
+  afterEach(() => {
+    delete process.env.REQUIRE_VERIFIED_EMAIL_FOR;
+  });
+
+  it('stops unverified users', async () => {
+    const res = mockResponse();
+    const passed = await runMiddleware(requireVerifiedEmail('checkout'), mockRequest({ user: userWith(false) }), res);
+
+    assert.strictEqual(passed, false);
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.body.code, 'email_not_verified');
+  });
+
+  it('lets verified users and accounts from before verification through', async () => {
+    for (const emailVerified of [true, undefined]) {
+      const req = mockRequest({ user: userWith(emailVerified) });
+      assert.strictEqual(await runMiddleware(requireVerifiedEmail('checkout'), req, mockResponse()), true);
+    }
+  });
+
+  it('only checks the actions listed in REQUIRE_VERIFIED_EMAIL_FOR', async () => {
+    process.env.REQUIRE_VERIFIED_EMAIL_FOR = 'subscribe';
+    const req = mockRequest({ user: userWith(false) });
+
+    assert.strictEqual(await runMiddleware(requireVerifiedEmail('checkout'), req, mockResponse()), true);
+    assert.strictEqual(await runMiddleware(requireVerifiedEmail('subscribe'), req, mockResponse()), false);
+
+    process.env.REQUIRE_VERIFIED_EMAIL_FOR = 'none';
+    assert.strictEqual(await runMiddleware(requireVerifiedEmail('subscribe'), req, mockResponse()), true);
+  });
+
+  it('refuses to guard an unknown action', () => {
+    assert.throws(() => requireVerifiedEmail('review'), /Unknown verifiable action/);
+  });
+});
@@ -0,0 +1,213 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const express = require('express');
+const AuditLog = require('../../models/AuditLog');
+const Book = require('../../models/Book');
+const CouponRedemption = require('../../models/CouponRedemption');
+const Order = require('../../models/Order');
+const PdfDownload = require('../../models/PdfDownload');
+const Role = require('../../models/Role');
+const StockMovement = require('../../models/StockMovement');
+const User = require('../../models/User');
+const Wishlist = require('../../models/Wishlist');
+const { signAccessToken } = require('../../services/tokenService');
+const { setStorage } = require('../../services/storage');
+const { fakeCatalog } = require('../helpers');
+
+// Serve the admin routes to a signed-in admin
+const startAdminApp = () => {
+  process.env.JWT_SECRET = 'test-secret';
+  const user = new User({ name: 'Admin', email: 'admin@example.com', password: 'x', role: 'admin' });
+  mock.method(User, 'findById', async () => user);
+  mock.method(Role, 'findOne', async () => new Role({ key: 'admin', name: 'Admin', isStaff: true }));
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin/inventory', require('../../routes/admin-inventory'));
+  app.use('/api/admin', require('../../routes/admin'));
+  const server = app.listen(0);
+  return {
+    server,
+    baseUrl: `http://127.0.0.1:${server.address().port}/api/admin`,
+    token: signAccessToken(user)
+  };
+};
+
+describe('admin PDF uploads', () => {
+  let server;
+  let baseUrl;
+  let token;
+  let uploads;
+
+  // The route removes the upload after answering, so wait for that
+  const removedUploads = () => Promise.all(uploads.map(({ path, removed }) => removed.then(() => path)));
+
+  const upload = async (bookId) => {
+    const form = new FormData();
+    form.append('pdf', new Blob(['%PDF-1.4'], { type: 'application/pdf' }), 'book.pdf');
+    return fetch(`${baseUrl}/books/${bookId}/pdf`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+      body: form
+    });
+  };
+
+  beforeEach(() => {
+    ({ server, baseUrl, token } = startAdminApp());
+
+    uploads = [];
+    const unlink = fs.promises.unlink;
+    mock.method(fs.promises, 'unlink', (path) => {
+      const removed = unlink(path);
+      uploads.push({ path, removed });
+      return removed;
+    });
+  });
+
+  afterEach(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  it('answers a malformed book id with 404 and removes the upload', async () => {
+    const response = await upload('not-an-id');
+
+    assert.strictEqual(response.status, 404);
+    const removed = await removedUploads();
+    assert.strictEqual(removed.length, 1);
+    assert.ok(!fs.existsSync(removed[0]));
+  });
+
+  it('removes the upload when storage fails', async () => {
+    const book = new Book({ title: 'Book', author: 'A', isbn: '1', price: 10, category: 'Fiction' });
+    mock.method(Book, 'findById', async () => book);
+    setStorage({
+      save: async () => {
+        throw new Error('Storage unavailable');
+      }
+    });
+
+    const response = await upload(new mongoose.Types.ObjectId());
+
+    assert.strictEqual(response.status, 500);
+    const removed = await removedUploads();
+    assert.strictEqual(removed.length, 1);
+    assert.ok(!fs.existsSync(removed[0]));
+  });
+});
+
+describe('admin listing filters', () => {
+  let server;
+  let baseUrl;
+  let token;
+
+  beforeEach(() => {
+    ({ server, baseUrl, token } = startAdminApp());
+  });
+
+  afterEach(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  const paths = [
+    '/pdf-downloads?user=nope',
+    '/pdf-downloads?book=nope',
+    '/audit?actor=nope',
+    '/inventory/movements?book=nope',
+    '/inventory/movements?actor=nope',
+    '/inventory/movements?order=nope'
+  ];
+  for (const path of paths) {
+    it(`answers ${path} with 400`, async () => {
+      const response = await fetch(`${baseUrl}${path}`, { headers: { Authorization: `Bearer ${token}` } });
+      assert.strictEqual(response.status, 400);
+    });
+  }
+});
+
+describe('admin PDF sharing report', () => {
+  let server;
+  let baseUrl;
+  let token;
+
+  beforeEach(() => {
+    ({ server, baseUrl, token } = startAdminApp());
+  });
+
+  afterEach(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  it('counts link requests, which are all S3 downloads leave behind', async () => {
+    const aggregate = mock.method(PdfDownload, 'aggregate', async () => []);
+
+    const response = await fetch(`${baseUrl}/pdf-downloads/sharing`, { headers: { Authorization: `Bearer ${token}` } });
+
+    assert.strictEqual(response.status, 200);
+    const [match] = aggregate.mock.calls[0].arguments[0];
+    assert.deepStrictEqual(match.$match.event, { $in: ['link_issued', 'file_served'] });
+  });
+});
+
+describe('admin order status', () => {
+  let server;
+  let baseUrl;
+  let token;
+
+  const setStatus = (orderId, status) => fetch(`${baseUrl}/orders/${orderId}/status`, {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ status })
+  });
+
+  const populated = (order) => ({ populate: () => ({ populate: async () => order }) });
+
+  beforeEach(() => {
+    ({ server, baseUrl, token } = startAdminApp());
+    mock.method(AuditLog, 'create', async (entry) => entry);
+  });
+
+  afterEach(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  it('cancels through the order service and returns the stock', async () => {
+    const stocked = { _id: new mongoose.Types.ObjectId(), title: 'Book', stock: 0, price: 10 };
+    const catalog = fakeCatalog([stocked]);
+    const order = new Order({
+      user: new mongoose.Types.ObjectId(),
+      items: [{ book: stocked._id, format: 'print', quantity: 3, price: 10 }],
+      subtotal: 30,
+      totalAmount: 30,
+      status: 'processing'
+    });
+    mock.method(Order, 'findById', async () => order);
+    const cancel = mock.method(Order, 'findOneAndUpdate', async () => new Order({ ...order.toObject(), status: 'cancelled' }));
+    mock.method(Order, 'findByIdAndUpdate', () => populated(new Order({ ...order.toObject(), status: 'cancelled' })));
+    mock.method(StockMovement, 'create', async (entry) => entry);
+    mock.method(Wishlist, 'find', () => ({ populate: async () => [] }));
+    mock.method(CouponRedemption, 'find', async () => []);
+
+    const response = await setStatus(order._id, 'cancelled');
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(cancel.mock.calls[0].arguments[0].status, { $in: ['pending', 'confirmed', 'processing'] });
+    assert.strictEqual(catalog.get(stocked._id.toString()).stock, 3);
+  });
+
+  it('refuses to reopen a cancelled order', async () => {
+    const order = new Order({ user: new mongoose.Types.ObjectId(), items: [], subtotal: 0, totalAmount: 0, status: 'cancelled' });
+    mock.method(Order, 'findById', async () => order);
+    const update = mock.method(Order, 'findOneAndUpdate', async () => order);
+
+    const response = await setStatus(order._id, 'confirmed');
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(update.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const User = require('../../models/User');
+const { setStore } = require('../../services/loginThrottle');
+const MemoryStore = require('../../services/loginThrottle/memoryStore');
+const { createLoginChallenge } = require('../../services/twoFactorService');
+
+describe('two-factor login throttling', () => {
+  let server;
+  let baseUrl;
+  let store;
+  let user;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    user = new User({ name: 'Reader', email: 'reader@example.com', password: 'x' });
+    mock.method(User, 'findById', () => ({ select: async () => user, then: (resolve) => resolve(user) }));
+    mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+    store = new MemoryStore();
+    setStore(store);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../../routes/auth'));
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+  });
+
+  afterEach(() => {
+    server.close();
+    setStore(undefined);
+    mock.restoreAll();
+  });
+
+  it('slows down codes after earlier failures, like the password step', async () => {
+    await store.increment('account:reader@example.com', { windowMs: 60000, ttlMs: 60000 });
+
+    const startedAt = Date.now();
+    const response = await fetch(`${baseUrl}/login/2fa`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ twoFactorToken: createLoginChallenge(user), code: '000000' })
+    });
+
+    assert.strictEqual(response.status, 401);
+    assert.ok(Date.now() - startedAt >= 250);
+  });
+});
@@ -0,0 +1,125 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const express = require('express');
+const Book = require('../../models/Book');
+const Cart = require('../../models/Cart');
+const Order = require('../../models/Order');
+const StockMovement = require('../../models/StockMovement');
+const User = require('../../models/User');
+const Wishlist = require('../../models/Wishlist');
+const { signAccessToken } = require('../../services/tokenService');
+const { fakeCatalog } = require('../helpers');
+
+const book = (stock, price, title = 'Book') => ({ _id: new mongoose.Types.ObjectId(), title, stock, price });
+
+describe('cart', () => {
+  let server;
+  let baseUrl;
+  let token;
+  let user;
+  let cart;
+  let catalog;
+
+  const request = (path, options = {}) => fetch(`${baseUrl}/api/cart${path}`, {
+    ...options,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' }
+  });
+
+  // Books in the catalog, as the cart view and checkout see them
+  const stockCatalog = (books) => {
+    catalog = books;
+    fakeCatalog(books);
+    mock.method(Book, 'find', () => ({ select: async () => catalog.map(entry => ({ ...entry })) }));
+  };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    user = new User({
+      name: 'Shopper',
+      email: 'shopper@example.com',
+      password: 'x',
+      address: { street: '1 Main St', city: 'Pune', zipCode: '411001', country: 'India' }
+    });
+    token = signAccessToken(user);
+    cart = new Cart({ user: user._id, items: [] });
+    mock.method(User, 'findById', async () => user);
+    mock.method(Cart, 'forUser', async () => cart);
+    mock.method(Cart.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(StockMovement, 'create', async (entry) => entry);
+    mock.method(Wishlist, 'find', () => ({ populate: async () => [] }));
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/cart', require('../../routes/cart'));
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  it('flags price changes, short stock and books that are gone', async () => {
+    const repriced = book(5, 12, 'Repriced');
+    const scarce = book(1, 10, 'Scarce');
+    const gone = book(0, 10, 'Gone');
+    stockCatalog([repriced, scarce]);
+    cart.items.push(
+      { book: repriced._id, quantity: 1, priceAtAdd: 10 },
+      { book: scarce._id, quantity: 2, priceAtAdd: 10 },
+      { book: gone._id, quantity: 1, priceAtAdd: 10 }
+    );
+
+    const response = await request('/');
+    const view = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(view.items.map(item => [item.priceChanged, item.insufficientStock, item.unavailable]), [
+      [true, false, undefined],
+      [false, true, undefined],
+      [undefined, undefined, true]
+    ]);
+    assert.strictEqual(view.totalAmount, 32);
+    assert.strictEqual(view.hasIssues, true);
+  });
+
+  it('refuses to check out at a price the shopper has not seen', async () => {
+    const repriced = book(5, 12);
+    stockCatalog([repriced]);
+    cart.items.push({ book: repriced._id, quantity: 1, priceAtAdd: 10 });
+    const save = mock.method(Order.prototype, 'save', async function() {
+      return this;
+    });
+
+    const response = await request('/checkout', { method: 'POST', body: '{}' });
+
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(save.mock.callCount(), 0);
+    assert.strictEqual(catalog[0].stock, 5);
+    assert.strictEqual(cart.items.length, 1);
+  });
+
+  it('places the order at catalog prices, reserves stock and empties the cart', async () => {
+    const stocked = book(5, 10);
+    stockCatalog([stocked]);
+    cart.items.push({ book: stocked._id, quantity: 2, priceAtAdd: 10 });
+    mock.method(Order.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(Order.prototype, 'populate', async function() {
+      return this;
+    });
+
+    const response = await request('/checkout', { method: 'POST', body: '{}' });
+    const { order } = await response.json();
+
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(order.totalAmount, 20);
+    assert.strictEqual(catalog[0].stock, 3);
+    assert.strictEqual(cart.items.length, 0);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const express = require('express');
+const Book = require('../../models/Book');
+const Order = require('../../models/Order');
+const Subscription = require('../../models/Subscription');
+const User = require('../../models/User');
+const { signAccessToken } = require('../../services/tokenService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const subscriptionWith = (features) => new Subscription({
+  user: new mongoose.Types.ObjectId(),
+  plan: 'basic',
+  planName: 'Basic Plan',
+  price: 300,
+  features,
+  status: 'active',
+  startDate: new Date(Date.now() - DAY_MS),
+  endDate: new Date(Date.now() + DAY_MS)
+});
+
+describe('library', () => {
+  let server;
+  let baseUrl;
+  let token;
+  let subscription;
+  let find;
+
+  const listLibrary = async () => {
+    const response = await fetch(`${baseUrl}/api/library`, { headers: { Authorization: `Bearer ${token}` } });
+    assert.strictEqual(response.status, 200);
+    return find.mock.calls[0].arguments[0];
+  };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    const user = new User({ name: 'Reader', email: 'reader@example.com', password: 'x' });
+    token = signAccessToken(user);
+    subscription = null;
+    mock.method(User, 'findById', async () => user);
+    mock.method(Subscription, 'findOne', async () => subscription);
+    mock.method(Order, 'find', () => ({ select: async () => [] }));
+    mock.method(Order, 'aggregate', async () => []);
+    mock.method(Book, 'countDocuments', async () => 0);
+    find = mock.method(Book, 'find', () => ({
+      select: () => ({ sort: () => ({ skip: () => ({ limit: async () => [] }) }) })
+    }));
+
+    const app = express();
+    app.use('/api/library', require('../../routes/library'));
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  it('leaves exclusive titles out for subscribers without exclusive content', async () => {
+    subscription = subscriptionWith(['pdf_access']);
+
+    const query = await listLibrary();
+
+    assert.deepStrictEqual(query, { hasPdf: true, exclusive: { $ne: true } });
+  });
+
+  it('includes exclusive titles when the plan has exclusive content', async () => {
+    subscription = subscriptionWith(['pdf_access', 'exclusive_content']);
+
+    const query = await listLibrary();
+
+    assert.deepStrictEqual(query, { hasPdf: true });
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Book = require('../../models/Book');
+const SearchTerm = require('../../models/SearchTerm');
+const { searchBooks, expandSearchTerms, updateVocabulary } = require('../../services/bookSearchService');
+
+const FACETS = [{ total: [{ count: 3 }], categories: [], authors: [], publishers: [], priceRanges: [], hasPdf: [] }];
+
+// Answer the page query with `books` and the facet query with FACETS
+const mockAggregate = (books) => mock.method(Book, 'aggregate', async (pipeline) => (
+  pipeline.some(stage => stage.$facet) ? FACETS : books
+));
+
+const pageQuery = (aggregate, call = 0) => aggregate.mock.calls
+  .map(entry => entry.arguments[0])
+  .filter(pipeline => !pipeline.some(stage => stage.$facet))[call];
+
+describe('searchBooks', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('sorts the page on an indexed field, outside the facets', async () => {
+    const aggregate = mockAggregate([]);
+
+    await searchBooks({ sort: 'price_asc' });
+
+    const pipeline = pageQuery(aggregate);
+    assert.deepStrictEqual(pipeline.find(stage => stage.$sort).$sort, { price: 1, _id: 1 });
+    assert.ok(!pipeline.some(stage => stage.$addFields));
+    const indexed = Book.schema.indexes().map(([fields]) => JSON.stringify(fields));
+    assert.ok(indexed.includes(JSON.stringify({ price: 1, _id: 1 })));
+  });
+
+  it('pages on from the last book with the cursor', async () => {
+    const ids = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+    const aggregate = mockAggregate([
+      { _id: ids[0], price: 10 },
+      { _id: ids[1], price: 20 },
+      { _id: ids[2], price: 30 }
+    ]);
+
+    const first = await searchBooks({ sort: 'price_desc', limit: 2 });
+    assert.strictEqual(first.books.length, 2);
+    assert.ok(first.nextCursor);
+
+    await searchBooks({ sort: 'price_desc', limit: 2, cursor: first.nextCursor });
+
+    const after = pageQuery(aggregate, 1).find(stage => stage.$match && stage.$match.$or).$match.$or;
+    assert.deepStrictEqual(after, [
+      { price: 20, _id: { $lt: ids[1] } },
+      { price: { $lt: 20 } },
+      { price: null }
+    ]);
+  });
+
+  it('rejects a cursor from another sort', async () => {
+    mockAggregate([{ _id: new mongoose.Types.ObjectId(), price: 10 }, { _id: new mongoose.Types.ObjectId(), price: 20 }]);
+    const { nextCursor } = await searchBooks({ sort: 'price_asc', limit: 1 });
+
+    await assert.rejects(searchBooks({ sort: 'title', cursor: nextCursor }), { status: 400 });
+  });
+});
+
+describe('typo correction', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('corrects unknown terms against a bounded set of similar words', async () => {
+    mock.method(SearchTerm, 'exists', async ({ word }) => (word === 'tolkien' ? { _id: word } : null));
+    const find = mock.method(SearchTerm, 'find', () => ({
+      limit: () => ({ lean: async () => [{ word: 'hobbit' }, { word: 'habitat' }] })
+    }));
+
+    const { terms, corrections } = await expandSearchTerms('hobit tolkien');
+
+    assert.deepStrictEqual(corrections, { hobit: 'hobbit' });
+    assert.deepStrictEqual(terms, ['hobit', 'tolkien', 'hobbit']);
+    assert.strictEqual(find.mock.callCount(), 1);
+    assert.deepStrictEqual(find.mock.calls[0].arguments[0], { initial: 'h', length: { $gte: 4, $lte: 6 } });
+  });
+
+  it('adds new words and drops unused ones as books change', async () => {
+    const bulkWrite = mock.method(SearchTerm, 'bulkWrite', async () => ({}));
+    const deleteMany = mock.method(SearchTerm, 'deleteMany', async () => ({}));
+
+    await updateVocabulary(
+      { title: 'The Hobbit', author: 'Tolkien', category: 'Fantasy' },
+      { title: 'The Hobbit', author: 'J Tolkien', category: 'Classics' }
+    );
+
+    const operations = bulkWrite.mock.calls[0].arguments[0]
+      .map(({ updateOne }) => [updateOne.filter.word, updateOne.update.$inc.books]);
+    assert.deepStrictEqual(operations, [['classics', 1], ['fantasy', -1]]);
+    assert.deepStrictEqual(deleteMany.mock.calls[0].arguments[0], { word: { $in: ['fantasy'] }, books: { $lte: 0 } });
+  });
+});
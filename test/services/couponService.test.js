@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Coupon = require('../../models/Coupon');
+const CouponRedemption = require('../../models/CouponRedemption');
+const CouponUsage = require('../../models/CouponUsage');
+const { findUsableCoupon, redeemCoupon } = require('../../services/couponService');
+
+const coupon = (overrides = {}) => new Coupon({
+  code: 'SAVE10',
+  discountType: 'percentage',
+  discountValue: 10,
+  appliesTo: 'both',
+  perUserLimit: 1,
+  ...overrides
+});
+
+// Per-user counters kept in memory, enforcing the unique (coupon, user) index
+const fakeUsage = () => {
+  const counts = new Map();
+  const key = (filter) => `${filter.coupon}:${filter.user}`;
+
+  mock.method(CouponUsage, 'updateOne', async (filter, update, options = {}) => {
+    const count = counts.get(key(filter));
+    const limit = filter.count.$lt !== undefined ? filter.count.$lt : Infinity;
+    const floor = filter.count.$gt !== undefined ? filter.count.$gt : -Infinity;
+    if (count !== undefined && count < limit && count > floor) {
+      counts.set(key(filter), count + update.$inc.count);
+      return { matchedCount: 1 };
+    }
+    if (!options.upsert) {
+      return { matchedCount: 0 };
+    }
+    if (count !== undefined) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    counts.set(key(filter), update.$inc.count);
+    return { upsertedCount: 1 };
+  });
+  mock.method(CouponUsage, 'findOne', async (filter) => (
+    counts.has(key(filter)) ? { count: counts.get(key(filter)) } : null
+  ));
+  return { count: (couponId, userId) => counts.get(`${couponId}:${userId}`) || 0 };
+};
+
+describe('coupon limits', () => {
+  let usage;
+  let usedCount;
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    usage = fakeUsage();
+    usedCount = 0;
+    mock.method(Coupon, 'findOneAndUpdate', async (filter) => {
+      if (filter.usedCount && usedCount >= filter.usedCount.$lt) return null;
+      usedCount += 1;
+      return { _id: filter._id };
+    });
+    mock.method(Coupon, 'updateOne', async () => {
+      usedCount -= 1;
+      return {};
+    });
+    mock.method(CouponRedemption, 'create', async (entry) => entry);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lets a user redeem up to their limit, even concurrently', async () => {
+    const limited = coupon({ perUserLimit: 2 });
+
+    const results = await Promise.allSettled([1, 2, 3].map(() =>
+      redeemCoupon(limited, { userId, discount: 5 })
+    ));
+
+    assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected']);
+    assert.strictEqual(results[2].reason.message, 'You have already used this coupon');
+    assert.strictEqual(usage.count(limited._id, userId), 2);
+    assert.strictEqual(usedCount, 2);
+  });
+
+  it('refuses a coupon the user has used up before redeeming', async () => {
+    const limited = coupon();
+    mock.method(Coupon, 'findOne', async () => limited);
+    await redeemCoupon(limited, { userId, discount: 5 });
+
+    await assert.rejects(findUsableCoupon('save10', { userId, scope: 'order' }), {
+      status: 400,
+      message: 'You have already used this coupon'
+    });
+  });
+
+  it('gives the user their use back when the global limit is reached', async () => {
+    const limited = coupon({ usageLimit: 1 });
+    await redeemCoupon(limited, { userId: new mongoose.Types.ObjectId(), discount: 5 });
+
+    await assert.rejects(redeemCoupon(limited, { userId, discount: 5 }), {
+      message: 'This coupon has reached its usage limit'
+    });
+    assert.strictEqual(usage.count(limited._id, userId), 0);
+    assert.strictEqual(usedCount, 1);
+  });
+
+  it('gives both uses back when the redemption cannot be recorded', async () => {
+    const limited = coupon();
+    CouponRedemption.create.mock.mockImplementation(async () => {
+      throw new Error('write failed');
+    });
+
+    await assert.rejects(redeemCoupon(limited, { userId, discount: 5 }), /write failed/);
+    assert.strictEqual(usage.count(limited._id, userId), 0);
+    assert.strictEqual(usedCount, 0);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const User = require('../../models/User');
+const { setTransport } = require('../../services/mailer');
+const {
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail
+} = require('../../services/emailVerificationService');
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+describe('email verification', () => {
+  let user;
+  let sent;
+
+  beforeEach(() => {
+    user = new User({ name: 'Reader', email: 'reader@example.com', password: 'x', emailVerified: false });
+    sent = [];
+    setTransport({ send: async (message) => sent.push(message) });
+  });
+
+  afterEach(() => {
+    setTransport(undefined);
+    mock.restoreAll();
+  });
+
+  it('emails a link whose token is only stored hashed', async () => {
+    const update = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await sendVerificationEmail(user);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const token = sent[0].text.match(/verify-email\?token=(\w+)/)[1];
+    assert.strictEqual(sent[0].to, 'reader@example.com');
+    assert.strictEqual(update.mock.calls[0].arguments[1].emailVerificationTokenHash, hash(token));
+  });
+
+  it('marks the email verified with a matching, unexpired token', async () => {
+    const verified = new User({ name: 'Reader', email: 'reader@example.com', password: 'x', emailVerified: true });
+    const find = mock.method(User, 'findOneAndUpdate', async () => verified);
+
+    assert.strictEqual(await verifyEmail('abc'), verified);
+    const [filter, update] = find.mock.calls[0].arguments;
+    assert.strictEqual(filter.emailVerificationTokenHash, hash('abc'));
+    assert.ok(filter.emailVerificationExpires.$gt instanceof Date);
+    assert.strictEqual(update.emailVerified, true);
+  });
+
+  it('rejects an unknown or expired token', async () => {
+    mock.method(User, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(verifyEmail('abc'), { status: 400, message: 'Invalid or expired verification token' });
+  });
+
+  it('refuses to resend to a verified address', async () => {
+    user.emailVerified = true;
+
+    await assert.rejects(resendVerificationEmail(user), { status: 400 });
+  });
+
+  it('resends at most once a minute', async () => {
+    const update = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+    user.emailVerificationSentAt = new Date(Date.now() - 30 * 1000);
+
+    await assert.rejects(resendVerificationEmail(user), { status: 429 });
+    assert.strictEqual(update.mock.callCount(), 0);
+
+    user.emailVerificationSentAt = new Date(Date.now() - 2 * 60 * 1000);
+    await resendVerificationEmail(user);
+    assert.strictEqual(update.mock.callCount(), 1);
+  });
+});
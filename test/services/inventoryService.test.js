@@ -0,0 +1,192 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Book = require('../../models/Book');
+const StockMovement = require('../../models/StockMovement');
+const Wishlist = require('../../models/Wishlist');
+const { recordMovement, setStock } = require('../../services/inventoryService');
+const { reserveStock } = require('../../services/orderService');
+const { updateBook } = require('../../services/catalogService');
+const { fakeCatalog } = require('../helpers');
+
+const book = (stock, title = 'Book') => ({ _id: new mongoose.Types.ObjectId(), title, stock, price: 10 });
+
+describe('inventory ledger', () => {
+  let movements;
+
+  beforeEach(() => {
+    movements = [];
+    mock.method(StockMovement, 'create', async (entry) => {
+      movements.push(entry);
+      return { _id: new mongoose.Types.ObjectId(), ...entry };
+    });
+    mock.method(Wishlist, 'find', () => ({ populate: async () => [] }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('records every stock change with the stock after it', async () => {
+    const stocked = book(2);
+    const catalog = fakeCatalog([stocked]);
+
+    await recordMovement({ book: stocked._id, type: 'receipt', quantity: 5 });
+    await recordMovement({ book: stocked._id, type: 'damage', quantity: 1 });
+
+    assert.strictEqual(catalog.get(stocked._id.toString()).stock, 6);
+    assert.deepStrictEqual(movements.map(entry => [entry.type, entry.quantity, entry.stockAfter]), [
+      ['receipt', 5, 7],
+      ['damage', -1, 6]
+    ]);
+  });
+
+  it('refuses to take more copies than are in stock', async () => {
+    const stocked = book(1);
+    fakeCatalog([stocked]);
+
+    await assert.rejects(recordMovement({ book: stocked._id, type: 'sale', quantity: 2 }), { status: 409 });
+    assert.strictEqual(movements.length, 0);
+  });
+
+  it('undoes the stock change when the ledger write fails', async () => {
+    const stocked = book(3);
+    const catalog = fakeCatalog([stocked]);
+    StockMovement.create.mock.mockImplementation(async () => {
+      throw new Error('write failed');
+    });
+
+    await assert.rejects(recordMovement({ book: stocked._id, type: 'sale', quantity: 2 }), /write failed/);
+    assert.strictEqual(catalog.get(stocked._id.toString()).stock, 3);
+  });
+
+  it('alerts wishlists on a restock but not when a checkout is rolled back', async () => {
+    const returned = book(0, 'Returned');
+    const received = book(0, 'Received');
+    fakeCatalog([returned, received]);
+
+    await recordMovement({ book: returned._id, type: 'return', quantity: 1 });
+    assert.strictEqual(Wishlist.find.mock.callCount(), 0);
+
+    await recordMovement({ book: received._id, type: 'receipt', quantity: 1 });
+    assert.strictEqual(Wishlist.find.mock.callCount(), 1);
+    assert.strictEqual(Wishlist.find.mock.calls[0].arguments[0]['items.book'], received._id);
+  });
+
+  it('refuses a counted total when stock moved in the meantime', async () => {
+    const stocked = book(4);
+    const catalog = fakeCatalog([stocked]);
+    const findById = Book.findById.mock;
+    findById.mockImplementation(() => ({ select: async () => ({ _id: stocked._id, stock: 5 }) }));
+
+    await assert.rejects(setStock({ book: stocked._id, stock: 10 }), { status: 409 });
+    assert.strictEqual(catalog.get(stocked._id.toString()).stock, 4);
+  });
+});
+
+describe('order stock reservation', () => {
+  beforeEach(() => {
+    mock.method(Wishlist, 'find', () => ({ populate: async () => [] }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reserves every line through the ledger', async () => {
+    const movements = [];
+    mock.method(StockMovement, 'create', async (entry) => {
+      movements.push(entry);
+      return entry;
+    });
+    const first = book(3);
+    const second = book(1);
+    const catalog = fakeCatalog([first, second]);
+    const order = new mongoose.Types.ObjectId();
+
+    const reserved = await reserveStock([
+      { book: first._id, format: 'print', quantity: 2 },
+      { book: second._id, format: 'print', quantity: 1 }
+    ], { order });
+
+    assert.strictEqual(reserved.length, 2);
+    assert.strictEqual(catalog.get(first._id.toString()).stock, 1);
+    assert.strictEqual(catalog.get(second._id.toString()).stock, 0);
+    assert.ok(movements.every(entry => entry.type === 'sale' && entry.order === order));
+  });
+
+  it('releases earlier lines when a later one is out of stock', async () => {
+    mock.method(StockMovement, 'create', async (entry) => entry);
+    const first = book(3);
+    const second = book(0, 'Sold out');
+    const catalog = fakeCatalog([first, second]);
+
+    await assert.rejects(reserveStock([
+      { book: first._id, format: 'print', quantity: 2 },
+      { book: second._id, format: 'print', quantity: 1 }
+    ]), { status: 409, message: 'Insufficient stock for "Sold out"' });
+    assert.strictEqual(catalog.get(first._id.toString()).stock, 3);
+  });
+
+  it('releases earlier lines when a ledger write fails', async () => {
+    let writes = 0;
+    mock.method(StockMovement, 'create', async (entry) => {
+      writes += 1;
+      if (writes === 2) throw new Error('write failed');
+      return entry;
+    });
+    const first = book(3);
+    const second = book(3);
+    const catalog = fakeCatalog([first, second]);
+
+    await assert.rejects(reserveStock([
+      { book: first._id, format: 'print', quantity: 2 },
+      { book: second._id, format: 'print', quantity: 1 }
+    ]), /write failed/);
+    assert.strictEqual(catalog.get(first._id.toString()).stock, 3);
+    assert.strictEqual(catalog.get(second._id.toString()).stock, 3);
+  });
+});
+
+describe('updateBook', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('saves nothing when the stock change is refused', async () => {
+    const stored = new Book({ title: 'Old', author: 'A', isbn: '1', price: 10, category: 'Fiction', stock: 4 });
+    const save = mock.method(stored, 'save', async () => stored);
+    mock.method(Book, 'findById', (id) => (
+      id === stored._id.toString()
+        ? Promise.resolve(stored)
+        : { select: async () => ({ _id: stored._id, stock: 4 }) }
+    ));
+    mock.method(Book, 'exists', async () => null);
+    mock.method(Book, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(updateBook(stored._id.toString(), { title: 'New', stock: 9 }), { status: 409 });
+    assert.strictEqual(save.mock.callCount(), 0);
+  });
+
+  it('only changes fields that may be edited', async () => {
+    const stored = new Book({ title: 'Old', author: 'A', isbn: '1', price: 10, category: 'Fiction', stock: 4 });
+    const save = mock.method(stored, 'save', async () => stored);
+    mock.method(Book, 'findById', async () => stored);
+    mock.method(Book, 'exists', async () => null);
+
+    const { book } = await updateBook(stored._id.toString(), {
+      price: 12,
+      salesCount: 999,
+      hasPdf: true,
+      pdfKey: 'pdfs/elsewhere.pdf',
+      averageRating: 5
+    });
+
+    assert.strictEqual(save.mock.callCount(), 1);
+    assert.strictEqual(book.price, 12);
+    assert.strictEqual(book.salesCount, 0);
+    assert.strictEqual(book.hasPdf, false);
+    assert.strictEqual(book.pdfKey, undefined);
+    assert.strictEqual(book.averageRating, 0);
+  });
+});
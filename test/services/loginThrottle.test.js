@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../../services/loginThrottle');
+const MemoryStore = require('../../services/loginThrottle/memoryStore');
+const MongoStore = require('../../services/loginThrottle/mongoStore');
+
+describe('login throttle store', () => {
+  it('shares counters through MongoDB in production', () => {
+    assert.ok(createStore({ NODE_ENV: 'production' }) instanceof MongoStore);
+  });
+
+  it('keeps counters in memory in development unless configured', () => {
+    assert.ok(createStore({}) instanceof MemoryStore);
+    assert.ok(createStore({ LOGIN_THROTTLE_STORE: 'mongo' }) instanceof MongoStore);
+  });
+});
+
+describe('memory login throttle store', () => {
+  it('sweeps out expired counters that are never looked up again', async () => {
+    const store = new MemoryStore();
+    await store.increment('ip:203.0.113.1', { windowMs: 1000, ttlMs: 1000 });
+    await store.increment('ip:203.0.113.2', { windowMs: 60000, ttlMs: 60000 });
+
+    store.sweep(new Date(Date.now() + 5000));
+
+    assert.deepStrictEqual([...store.entries.keys()], ['ip:203.0.113.2']);
+  });
+});
@@ -0,0 +1,22 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createTransport } = require('../../services/mailer');
+const { ConsoleTransport, FileTransport } = require('../../services/mailer/transports');
+
+describe('mail transport selection', () => {
+  it('prints to the console by default outside production', () => {
+    assert.ok(createTransport({}) instanceof ConsoleTransport);
+  });
+
+  it('has no default in production', () => {
+    assert.throws(() => createTransport({ NODE_ENV: 'production' }), /MAIL_TRANSPORT/);
+  });
+
+  it('refuses the console transport in production', () => {
+    assert.throws(() => createTransport({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' }), /MAIL_TRANSPORT/);
+  });
+
+  it('uses a configured transport in production', () => {
+    assert.ok(createTransport({ NODE_ENV: 'production', MAIL_TRANSPORT: 'file' }) instanceof FileTransport);
+  });
+});
@@ -0,0 +1,196 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Book = require('../../models/Book');
+const CouponRedemption = require('../../models/CouponRedemption');
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const StockMovement = require('../../models/StockMovement');
+const User = require('../../models/User');
+const Wishlist = require('../../models/Wishlist');
+const { setPaymentProvider } = require('../../services/payments');
+const { createOrder, cancelOrder } = require('../../services/orderService');
+const { fakeCatalog } = require('../helpers');
+
+const book = (stock, price, title = 'Book') => ({ _id: new mongoose.Types.ObjectId(), title, stock, price });
+
+describe('createOrder', () => {
+  let user;
+
+  beforeEach(() => {
+    user = new User({
+      name: 'Shopper',
+      email: 'shopper@example.com',
+      password: 'x',
+      address: { street: '1 Main St', city: 'Pune', zipCode: '411001', country: 'India' }
+    });
+    mock.method(StockMovement, 'create', async (entry) => entry);
+    mock.method(Wishlist, 'find', () => ({ populate: async () => [] }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('prices lines from the catalog and takes their stock', async () => {
+    const first = book(5, 12.5);
+    const second = book(1, 30);
+    const catalog = fakeCatalog([first, second]);
+    mock.method(Order.prototype, 'save', async function() {
+      return this;
+    });
+
+    const order = await createOrder({
+      user,
+      items: [
+        { book: first._id.toString(), quantity: 2, price: 0.01 },
+        { book: second._id.toString(), quantity: 1 },
+        { book: first._id.toString(), quantity: 1 }
+      ]
+    });
+
+    assert.deepStrictEqual(order.items.map(item => [item.quantity, item.price]), [[3, 12.5], [1, 30]]);
+    assert.strictEqual(order.totalAmount, 67.5);
+    assert.strictEqual(order.shippingAddress.city, 'Pune');
+    assert.strictEqual(catalog.get(first._id.toString()).stock, 2);
+    assert.strictEqual(catalog.get(second._id.toString()).stock, 0);
+  });
+
+  it('refuses more copies than are left without creating an order', async () => {
+    const scarce = book(1, 10, 'Last copy');
+    const catalog = fakeCatalog([scarce]);
+    const save = mock.method(Order.prototype, 'save', async function() {
+      return this;
+    });
+
+    await assert.rejects(createOrder({ user, items: [{ book: scarce._id.toString(), quantity: 2 }] }), {
+      status: 409,
+      message: 'Insufficient stock for "Last copy"'
+    });
+    assert.strictEqual(save.mock.callCount(), 0);
+    assert.strictEqual(catalog.get(scarce._id.toString()).stock, 1);
+  });
+
+  it('puts the stock and any coupon use back when the order cannot be saved', async () => {
+    const stocked = book(4, 10);
+    const catalog = fakeCatalog([stocked]);
+    const redemptions = mock.method(CouponRedemption, 'find', async () => []);
+    mock.method(Order.prototype, 'save', async () => {
+      throw new Error('write failed');
+    });
+
+    await assert.rejects(createOrder({ user, items: [{ book: stocked._id.toString(), quantity: 3 }] }), /write failed/);
+    assert.strictEqual(catalog.get(stocked._id.toString()).stock, 4);
+    assert.ok(redemptions.mock.calls[0].arguments[0].order);
+  });
+
+  it('rejects quantities that are not positive integers', async () => {
+    const stocked = book(4, 10);
+    fakeCatalog([stocked]);
+
+    await assert.rejects(createOrder({ user, items: [{ book: stocked._id.toString(), quantity: 1.5 }] }), {
+      status: 400,
+      message: 'Quantity must be a positive integer'
+    });
+  });
+});
+
+describe('digital orders', () => {
+  let user;
+  let owned;
+
+  const ebook = (fields = {}) => new Book({
+    title: 'Ebook',
+    author: 'A',
+    isbn: '1',
+    price: 20,
+    category: 'Fiction',
+    stock: 0,
+    hasPdf: true,
+    allowPdfPurchase: true,
+    pdfPrice: 7.5,
+    ...fields
+  });
+
+  beforeEach(() => {
+    user = new User({ name: 'Reader', email: 'reader@example.com', password: 'x' });
+    owned = [];
+    mock.method(Order, 'find', () => ({ select: async () => owned }));
+    mock.method(Order.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(StockMovement, 'create', async (entry) => entry);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('charges the PDF price without stock or a shipping address', async () => {
+    const pdf = ebook();
+    mock.method(Book, 'find', async () => [pdf]);
+    const take = mock.method(Book, 'findOneAndUpdate', async () => null);
+
+    const order = await createOrder({ user, items: [{ book: pdf._id.toString(), format: 'pdf', quantity: 3 }] });
+
+    assert.deepStrictEqual(order.items.map(item => [item.format, item.quantity, item.price]), [['pdf', 1, 7.5]]);
+    assert.strictEqual(order.totalAmount, 7.5);
+    assert.strictEqual(order.shippingAddress.street, undefined);
+    assert.strictEqual(take.mock.callCount(), 0);
+  });
+
+  it('refuses a PDF that is not for sale', async () => {
+    const pdf = ebook({ allowPdfPurchase: false });
+    mock.method(Book, 'find', async () => [pdf]);
+
+    await assert.rejects(createOrder({ user, items: [{ book: pdf._id.toString(), format: 'pdf' }] }), {
+      status: 400,
+      message: 'The PDF edition of "Ebook" is not for sale'
+    });
+  });
+
+  it('refuses a PDF the user already owns', async () => {
+    const pdf = ebook();
+    mock.method(Book, 'find', async () => [pdf]);
+    owned = [new Order({ user: user._id, items: [{ book: pdf._id, format: 'pdf', quantity: 1, price: 7.5 }] })];
+
+    await assert.rejects(createOrder({ user, items: [{ book: pdf._id.toString(), format: 'pdf' }] }), {
+      status: 400,
+      message: 'You already own the PDF edition of "Ebook"'
+    });
+  });
+});
+
+describe('cancelOrder', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('returns the stock and refunds an order that was already paid', async () => {
+    const stocked = book(0, 10);
+    const catalog = fakeCatalog([stocked]);
+    const user = new mongoose.Types.ObjectId();
+    const paid = new Order({
+      user,
+      items: [{ book: stocked._id, format: 'print', quantity: 2, price: 10 }],
+      subtotal: 20,
+      totalAmount: 20,
+      status: 'cancelled',
+      paymentStatus: 'paid'
+    });
+    mock.method(Order, 'findOneAndUpdate', async () => paid);
+    mock.method(StockMovement, 'create', async (entry) => entry);
+    mock.method(Wishlist, 'find', () => ({ populate: async () => [] }));
+    mock.method(CouponRedemption, 'find', async () => []);
+    const payment = new Payment({ providerPaymentId: 'pay_1', amount: 20, currency: 'INR', status: 'succeeded' });
+    mock.method(Payment, 'findOne', async () => payment);
+    mock.method(Payment, 'updateOne', async () => ({}));
+    const refund = mock.fn(async () => ({ id: 'refund_1' }));
+    setPaymentProvider({ name: 'mock', refund });
+
+    await cancelOrder({ orderId: paid._id, user });
+
+    assert.strictEqual(catalog.get(stocked._id.toString()).stock, 2);
+    assert.strictEqual(refund.mock.calls[0].arguments[0].paymentId, 'pay_1');
+  });
+});
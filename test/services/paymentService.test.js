@@ -0,0 +1,119 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Book = require('../../models/Book');
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const { setPaymentProvider } = require('../../services/payments');
+const { createOrderPayment, applyPaymentEvent } = require('../../services/paymentService');
+
+const order = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: new mongoose.Types.ObjectId(),
+  status: 'pending',
+  paymentStatus: 'pending',
+  totalAmount: 100,
+  save: async () => {}
+});
+
+describe('createOrderPayment', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('returns the open payment instead of starting another', async () => {
+    const open = new Payment({
+      provider: 'mock',
+      providerPaymentId: 'mock_pay_open',
+      amount: 100,
+      currency: 'INR',
+      clientData: { amount: 100 }
+    });
+    const createPaymentIntent = mock.fn();
+    setPaymentProvider({ name: 'mock', createPaymentIntent });
+    mock.method(Payment, 'findOne', async () => open);
+
+    const payment = await createOrderPayment(order());
+    assert.strictEqual(payment.id, 'mock_pay_open');
+    assert.deepStrictEqual(payment.clientData, { amount: 100 });
+    assert.strictEqual(createPaymentIntent.mock.callCount(), 0);
+  });
+
+  it('refuses orders that are already paid', async () => {
+    await assert.rejects(createOrderPayment({ ...order(), paymentStatus: 'paid' }), { status: 400 });
+  });
+});
+
+describe('order payment webhooks', () => {
+  let refund;
+  let payment;
+
+  const storedOrder = (status) => ({
+    _id: payment.order,
+    status,
+    paymentStatus: 'pending',
+    items: [{ book: new mongoose.Types.ObjectId(), format: 'print', quantity: 1, price: 100 }]
+  });
+
+  const succeeded = () => applyPaymentEvent({ type: 'succeeded', paymentId: payment.providerPaymentId });
+
+  beforeEach(() => {
+    refund = mock.fn(async () => ({ id: 'refund_1' }));
+    setPaymentProvider({ name: 'mock', refund });
+    payment = new Payment({
+      user: new mongoose.Types.ObjectId(),
+      provider: 'mock',
+      providerPaymentId: 'mock_pay_1',
+      purpose: 'order',
+      order: new mongoose.Types.ObjectId(),
+      amount: 100,
+      currency: 'INR',
+      status: 'succeeded'
+    });
+    mock.method(Payment, 'findOneAndUpdate', async () => payment);
+    mock.method(Payment, 'updateOne', async () => ({}));
+    mock.method(Book, 'bulkWrite', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('marks an open order paid and counts its sales', async () => {
+    mock.method(Order, 'findById', async () => storedOrder('pending'));
+    const update = mock.method(Order, 'findOneAndUpdate', async () => storedOrder('pending'));
+
+    await succeeded();
+
+    assert.deepStrictEqual(update.mock.calls[0].arguments[1], {
+      status: 'confirmed',
+      paymentStatus: 'paid',
+      paymentId: 'mock_pay_1'
+    });
+    assert.strictEqual(Book.bulkWrite.mock.callCount(), 1);
+    assert.strictEqual(refund.mock.callCount(), 0);
+  });
+
+  it('refunds a payment that completes after its order was cancelled', async () => {
+    mock.method(Order, 'findById', async () => storedOrder('cancelled'));
+    const update = mock.method(Order, 'findOneAndUpdate', async () => null);
+
+    await succeeded();
+
+    assert.strictEqual(update.mock.callCount(), 0);
+    assert.strictEqual(Book.bulkWrite.mock.callCount(), 0);
+    assert.deepStrictEqual(refund.mock.calls[0].arguments[0], { paymentId: 'mock_pay_1', amount: 100, currency: 'INR' });
+    assert.strictEqual(Payment.updateOne.mock.calls[0].arguments[1].refund.providerRefundId, 'refund_1');
+  });
+
+  it('refunds when the order is cancelled while the payment is applied', async () => {
+    const reads = [storedOrder('pending'), storedOrder('cancelled')];
+    mock.method(Order, 'findById', async () => reads.shift());
+    mock.method(Order, 'findOneAndUpdate', async () => null);
+
+    await succeeded();
+
+    assert.strictEqual(refund.mock.callCount(), 1);
+    assert.strictEqual(Book.bulkWrite.mock.callCount(), 0);
+  });
+});
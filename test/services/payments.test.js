@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createPaymentProvider } = require('../../services/payments');
+const MockProvider = require('../../services/payments/mockProvider');
+const StripeProvider = require('../../services/payments/stripeProvider');
+const RazorpayProvider = require('../../services/payments/razorpayProvider');
+const { hmacSha256, WebhookSignatureError } = require('../../services/payments/signature');
+
+describe('payment provider selection', () => {
+  it('refuses the mock provider in production', () => {
+    assert.throws(
+      () => createPaymentProvider({ NODE_ENV: 'production', PAYMENT_WEBHOOK_SECRET: 'secret' }),
+      /cannot be used in production/
+    );
+  });
+
+  it('requires a webhook secret for the mock provider', () => {
+    assert.throws(() => createPaymentProvider({}), /PAYMENT_WEBHOOK_SECRET/);
+  });
+
+  it('requires credentials for real providers', () => {
+    assert.throws(() => createPaymentProvider({ PAYMENT_PROVIDER: 'stripe' }), /STRIPE_SECRET_KEY/);
+    assert.throws(() => createPaymentProvider({ PAYMENT_PROVIDER: 'razorpay' }), /RAZORPAY_KEY_ID/);
+  });
+});
+
+describe('mock webhooks', () => {
+  const provider = new MockProvider({ webhookSecret: 'secret' });
+
+  it('accepts a signed webhook', () => {
+    const { rawBody, headers } = provider.buildWebhook('mock_pay_1', 'succeeded');
+    const event = provider.parseWebhook(rawBody, headers);
+    assert.strictEqual(event.type, 'succeeded');
+    assert.strictEqual(event.paymentId, 'mock_pay_1');
+  });
+
+  it('rejects a webhook signed with another secret', () => {
+    const { rawBody, headers } = new MockProvider({ webhookSecret: 'other' }).buildWebhook('mock_pay_1', 'succeeded');
+    assert.throws(() => provider.parseWebhook(rawBody, headers), WebhookSignatureError);
+  });
+
+  it('rejects a tampered body', () => {
+    const { headers } = provider.buildWebhook('mock_pay_1', 'failed');
+    const forged = Buffer.from(JSON.stringify({ id: 'evt', type: 'payment.succeeded', data: { paymentId: 'mock_pay_1' } }));
+    assert.throws(() => provider.parseWebhook(forged, headers), WebhookSignatureError);
+  });
+});
+
+describe('Stripe webhooks', () => {
+  const provider = new StripeProvider({ secretKey: 'sk_test', webhookSecret: 'whsec' });
+  const rawBody = Buffer.from(JSON.stringify({
+    id: 'evt_1',
+    type: 'payment_intent.succeeded',
+    data: { object: { id: 'pi_1' } }
+  }));
+  const sign = (timestamp, secret = 'whsec') =>
+    `t=${timestamp},v1=${hmacSha256(secret, `${timestamp}.${rawBody.toString('utf8')}`)}`;
+
+  it('accepts a correctly signed event', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const event = provider.parseWebhook(rawBody, { 'stripe-signature': sign(now) });
+    assert.deepStrictEqual(event, { id: 'evt_1', type: 'succeeded', paymentId: 'pi_1' });
+  });
+
+  it('rejects a wrong signature', () => {
+    const now = Math.floor(Date.now() / 1000);
+    assert.throws(() => provider.parseWebhook(rawBody, { 'stripe-signature': sign(now, 'other') }), WebhookSignatureError);
+  });
+
+  it('rejects a replayed event outside the tolerance', () => {
+    const old = Math.floor(Date.now() / 1000) - 3600;
+    assert.throws(() => provider.parseWebhook(rawBody, { 'stripe-signature': sign(old) }), WebhookSignatureError);
+  });
+});
+
+describe('Razorpay webhooks', () => {
+  const provider = new RazorpayProvider({ keyId: 'key', keySecret: 'secret', webhookSecret: 'whsec' });
+  const body = (eventName, paymentId) => Buffer.from(JSON.stringify({
+    event: eventName,
+    created_at: 1700000000,
+    payload: { payment: { entity: { id: paymentId, order_id: 'order_1' } } }
+  }));
+
+  it('rejects a wrong signature', () => {
+    const rawBody = body('payment.captured', 'pay_1');
+    assert.throws(
+      () => provider.parseWebhook(rawBody, { 'x-razorpay-signature': hmacSha256('other', rawBody) }),
+      WebhookSignatureError
+    );
+  });
+
+  it('uses the event id header when present', () => {
+    const rawBody = body('payment.captured', 'pay_1');
+    const event = provider.parseWebhook(rawBody, {
+      'x-razorpay-signature': hmacSha256('whsec', rawBody),
+      'x-razorpay-event-id': 'evt_1'
+    });
+    assert.strictEqual(event.id, 'evt_1');
+    assert.strictEqual(event.paymentId, 'order_1');
+  });
+
+  it('gives events created in the same second different ids', () => {
+    const first = body('payment.captured', 'pay_1');
+    const second = body('payment.captured', 'pay_2');
+    const a = provider.parseWebhook(first, { 'x-razorpay-signature': hmacSha256('whsec', first) });
+    const b = provider.parseWebhook(second, { 'x-razorpay-signature': hmacSha256('whsec', second) });
+    assert.notStrictEqual(a.id, b.id);
+  });
+});
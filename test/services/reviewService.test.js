@@ -0,0 +1,33 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Book = require('../../models/Book');
+const Review = require('../../models/Review');
+const { updateReview } = require('../../services/reviewService');
+
+describe('updateReview', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps reports on the review out of what its author gets back', async () => {
+    const author = { _id: new mongoose.Types.ObjectId() };
+    const review = new Review({
+      book: new mongoose.Types.ObjectId(),
+      user: author._id,
+      rating: 2,
+      body: 'Not for me',
+      reports: [{ user: new mongoose.Types.ObjectId(), reason: 'spam' }],
+      reportCount: 1
+    });
+    mock.method(review, 'save', async () => review);
+    mock.method(Review, 'findById', async () => review);
+    mock.method(Review, 'aggregate', async () => []);
+    mock.method(Book, 'updateOne', async () => ({}));
+
+    const updated = await updateReview({ user: author, reviewId: review._id.toString(), data: { rating: 3 } });
+
+    assert.strictEqual(updated.rating, 3);
+    assert.ok(!('reports' in updated));
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const Role = require('../../models/Role');
+const User = require('../../models/User');
+const { PERMISSION_KEYS } = require('../../config/permissions');
+const { resolvePermissions, overridesFor } = require('../../services/roleService');
+
+const editor = () => new Role({ key: 'editor', name: 'Editor', permissions: ['manage_books', 'view_dashboard'] });
+const staff = (fields = {}) => new User({ name: 'Staff', email: 'staff@example.com', password: 'x', role: 'editor', ...fields });
+
+describe('resolvePermissions', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('applies individual grants and revocations on top of the role', async () => {
+    const user = staff({ grantedPermissions: ['export_data'], revokedPermissions: ['view_dashboard'] });
+
+    assert.deepStrictEqual(await resolvePermissions(user, editor()), ['manage_books', 'export_data']);
+  });
+
+  it('gives admins every permission, whatever was revoked', async () => {
+    const admin = new Role({ key: 'admin', name: 'Admin' });
+    const user = staff({ role: 'admin', revokedPermissions: ['manage_books'] });
+
+    assert.deepStrictEqual((await resolvePermissions(user, admin)).sort(), [...PERMISSION_KEYS].sort());
+  });
+
+  it('looks up the role and grants nothing for an unknown one', async () => {
+    const findOne = mock.method(Role, 'findOne', async () => null);
+
+    assert.deepStrictEqual(await resolvePermissions(staff()), []);
+    assert.deepStrictEqual(findOne.mock.calls[0].arguments[0], { key: 'editor' });
+  });
+
+  it('keeps a legacy permission list until it is migrated', async () => {
+    const user = staff({ permissions: ['manage_orders'] });
+
+    assert.deepStrictEqual(await resolvePermissions(user, editor()), ['manage_orders']);
+  });
+
+  it('ignores the legacy list once the user has overrides', async () => {
+    const user = staff({ permissions: ['manage_orders'], grantedPermissions: ['export_data'] });
+
+    assert.deepStrictEqual(await resolvePermissions(user, editor()), ['manage_books', 'view_dashboard', 'export_data']);
+  });
+});
+
+describe('overridesFor', () => {
+  it('expresses a permission list as changes to the role', () => {
+    assert.deepStrictEqual(overridesFor(editor(), ['manage_books', 'manage_orders']), {
+      grantedPermissions: ['manage_orders'],
+      revokedPermissions: ['view_dashboard']
+    });
+  });
+
+  it('resolves back to the same list', async () => {
+    const role = editor();
+    const permissions = ['manage_books', 'moderate_reviews'];
+    const user = staff(overridesFor(role, permissions));
+
+    assert.deepStrictEqual(await resolvePermissions(user, role), permissions);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Payment = require('../../models/Payment');
+const Plan = require('../../models/Plan');
+const Subscription = require('../../models/Subscription');
+const { setPaymentProvider } = require('../../services/payments');
+const { changePlan, discardPendingSubscriptions } = require('../../services/subscriptionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const activeSubscription = (overrides = {}) => {
+  const now = Date.now();
+  const subscription = new Subscription({
+    user: new mongoose.Types.ObjectId(),
+    plan: 'basic',
+    planName: 'Basic',
+    price: 300,
+    billingInterval: 'month',
+    status: 'active',
+    startDate: new Date(now - 15 * DAY_MS),
+    endDate: new Date(now + 15 * DAY_MS),
+    autoRenew: false,
+    ...overrides
+  });
+  mock.method(subscription, 'save', async () => subscription);
+  return subscription;
+};
+
+describe('discardPendingSubscriptions', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps a pending subscription whose payment is still in flight', async () => {
+    const pending = { _id: new mongoose.Types.ObjectId() };
+    mock.method(Subscription, 'find', () => ({ select: async () => [pending] }));
+    mock.method(Payment, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    const deleteMany = mock.method(Subscription, 'deleteMany', async () => ({}));
+
+    await assert.rejects(discardPendingSubscriptions(new mongoose.Types.ObjectId()), { status: 409 });
+    assert.strictEqual(deleteMany.mock.callCount(), 0);
+  });
+});
+
+describe('changePlan', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps auto-renew off when scheduling a downgrade', async () => {
+    const current = activeSubscription({ plan: 'premium', planName: 'Premium', price: 900 });
+    mock.method(Subscription, 'findOne', async () => current);
+    mock.method(Plan, 'findOne', async () => new Plan({ key: 'basic', name: 'Basic', price: 300, interval: 'month' }));
+
+    const result = await changePlan({ userId: current.user, planKey: 'basic' });
+    assert.strictEqual(result.type, 'downgrade');
+    assert.strictEqual(result.subscription.autoRenew, false);
+  });
+
+  it('credits an upgrade with what was actually paid', async () => {
+    const current = activeSubscription({ amountCharged: 150 });
+    mock.method(Subscription, 'findOne', async () => current);
+    mock.method(Subscription, 'find', () => ({ select: async () => [] }));
+    mock.method(Plan, 'findOne', async () => new Plan({ key: 'premium', name: 'Premium', price: 900, interval: 'month' }));
+    mock.method(Subscription.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(Payment, 'create', async (doc) => doc);
+    setPaymentProvider({ name: 'mock', createPaymentIntent: async () => ({ id: 'mock_pay_1', clientData: {} }) });
+
+    const result = await changePlan({ userId: current.user, planKey: 'premium' });
+    const [change] = result.subscription.planChanges;
+    // Half of the period is left, so half of the 150 actually paid is credited
+    assert.ok(Math.abs(change.credit - 75) < 1, `credit was ${change.credit}`);
+  });
+});
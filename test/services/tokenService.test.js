@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const RefreshToken = require('../../models/RefreshToken');
+const Role = require('../../models/Role');
+const User = require('../../models/User');
+const auth = require('../../middleware/auth');
+const { adminAuth } = require('../../middleware/adminAuth');
+const { issueTokens, rotateRefreshToken, invalidateUserTokens } = require('../../services/tokenService');
+const { mockRequest, mockResponse, runMiddleware } = require('../helpers');
+
+// Keep refresh tokens in memory, applying the same conditional updates the
+// service relies on
+const fakeRefreshTokens = () => {
+  const tokens = [];
+  const matches = (entry, filter) => Object.entries(filter).every(([field, value]) =>
+    value === null ? !entry[field] : String(entry[field]) === String(value)
+  );
+
+  mock.method(RefreshToken, 'create', async (data) => {
+    const entry = { _id: tokens.length + 1, revokedAt: null, ...data };
+    tokens.push(entry);
+    return entry;
+  });
+  mock.method(RefreshToken, 'findOne', async (filter) => {
+    const entry = tokens.find(candidate => matches(candidate, filter));
+    return entry ? { ...entry } : null;
+  });
+  mock.method(RefreshToken, 'updateOne', async (filter, update) => {
+    const entry = tokens.find(candidate => matches(candidate, filter));
+    if (entry) Object.assign(entry, update);
+    return { modifiedCount: entry ? 1 : 0 };
+  });
+  mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+    const matched = tokens.filter(candidate => matches(candidate, filter));
+    matched.forEach(entry => Object.assign(entry, update));
+    return { modifiedCount: matched.length };
+  });
+  return tokens;
+};
+
+describe('refresh token rotation', () => {
+  let user;
+  let tokens;
+  const req = mockRequest();
+
+  beforeEach(() => {
+    user = new User({ name: 'Admin', email: 'admin@example.com', password: 'x', role: 'admin' });
+    tokens = fakeRefreshTokens();
+    mock.method(User, 'findById', async () => user);
+    mock.method(User, 'updateOne', async (filter, update) => {
+      user.tokenVersion = (user.tokenVersion || 0) + update.$inc.tokenVersion;
+      return { modifiedCount: 1 };
+    });
+    mock.method(Role, 'findOne', async () => new Role({ key: 'admin', name: 'Admin', isStaff: true }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('replaces the refresh token with a new one in the same family', async () => {
+    const { refreshToken } = await issueTokens(user, req);
+
+    const rotated = await rotateRefreshToken(refreshToken, req);
+
+    assert.notStrictEqual(rotated.refreshToken, refreshToken);
+    assert.strictEqual(tokens.length, 2);
+    assert.strictEqual(tokens[1].family, tokens[0].family);
+    assert.ok(tokens[0].revokedAt);
+    assert.strictEqual(tokens[0].replacedBy, tokens[1].tokenHash);
+    assert.strictEqual(tokens[1].revokedAt, null);
+  });
+
+  it('revokes the whole family when a rotated token is presented again', async () => {
+    const { refreshToken } = await issueTokens(user, req);
+    const rotated = await rotateRefreshToken(refreshToken, req);
+
+    await assert.rejects(rotateRefreshToken(refreshToken, req), { status: 401 });
+
+    assert.ok(tokens.every(entry => entry.revokedAt));
+    await assert.rejects(rotateRefreshToken(rotated.refreshToken, req), { status: 401 });
+  });
+
+  it('leaves other sessions alone when one family is revoked', async () => {
+    const first = await issueTokens(user, req);
+    const second = await issueTokens(user, req);
+    await rotateRefreshToken(first.refreshToken, req);
+
+    await assert.rejects(rotateRefreshToken(first.refreshToken, req), { status: 401 });
+
+    const rotated = await rotateRefreshToken(second.refreshToken, req);
+    assert.ok(rotated.refreshToken);
+  });
+
+  it('lets only one of two concurrent rotations through and revokes the family', async () => {
+    const { refreshToken } = await issueTokens(user, req);
+
+    const results = await Promise.allSettled([
+      rotateRefreshToken(refreshToken, req),
+      rotateRefreshToken(refreshToken, req)
+    ]);
+
+    // Both got past the revoked check; the conditional update picked one
+    assert.strictEqual(tokens.length, 3);
+    assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.strictEqual(results.find(result => result.status === 'rejected').reason.status, 401);
+    assert.ok(tokens.every(entry => entry.revokedAt));
+  });
+
+  it('refuses refresh tokens issued before the token version changed', async () => {
+    const { refreshToken } = await issueTokens(user, req);
+    user.tokenVersion = 1;
+
+    await assert.rejects(rotateRefreshToken(refreshToken, req), { status: 401 });
+    assert.ok(tokens[0].revokedAt);
+  });
+
+  it('logs out access and refresh tokens everywhere', async () => {
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    await invalidateUserTokens(user._id);
+
+    await assert.rejects(rotateRefreshToken(refreshToken, req), { status: 401 });
+    for (const middleware of [auth, adminAuth]) {
+      const res = mockResponse();
+      const request = mockRequest({ headers: { Authorization: `Bearer ${token}` } });
+      assert.strictEqual(await runMiddleware(middleware, request, res), false);
+      assert.strictEqual(res.statusCode, 401);
+    }
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Wishlist = require('../../models/Wishlist');
+const { setNotifier } = require('../../services/notifier');
+const { MemoryNotifier } = require('../../services/notifier/notifiers');
+const { alertsFor, notifyWishlistChanges } = require('../../services/wishlistAlertService');
+
+const events = (before, after) => alertsFor(before, after).map(alert => alert.event);
+
+describe('alertsFor', () => {
+  it('alerts when an out-of-stock book is restocked', () => {
+    assert.deepStrictEqual(events({ stock: 0, price: 10 }, { stock: 3, price: 10 }), ['backInStock']);
+    assert.deepStrictEqual(events({ stock: -1, price: 10 }, { stock: 1, price: 10 }), ['backInStock']);
+  });
+
+  it('does not alert when a book that was in stock gets more copies or sells out', () => {
+    assert.deepStrictEqual(events({ stock: 2, price: 10 }, { stock: 5, price: 10 }), []);
+    assert.deepStrictEqual(events({ stock: 2, price: 10 }, { stock: 0, price: 10 }), []);
+  });
+
+  it('alerts on price drops only', () => {
+    assert.deepStrictEqual(events({ stock: 2, price: 10 }, { stock: 2, price: 8 }), ['priceDrop']);
+    assert.deepStrictEqual(events({ stock: 2, price: 10 }, { stock: 2, price: 12 }), []);
+  });
+
+  it('sends both alerts when a book comes back cheaper', () => {
+    assert.deepStrictEqual(events({ stock: 0, price: 10 }, { stock: 1, price: 8 }), ['backInStock', 'priceDrop']);
+  });
+});
+
+describe('notifyWishlistChanges', () => {
+  let notifier;
+  const book = { _id: new mongoose.Types.ObjectId(), title: 'Book', stock: 1, price: 8 };
+
+  const wishlistFor = (user, preferences = {}) => {
+    const wishlist = new Wishlist({ user: user._id, items: [{ book: book._id, priceAtAdd: 10, ...preferences }] });
+    wishlist.user = user;
+    return wishlist;
+  };
+
+  beforeEach(() => {
+    notifier = new MemoryNotifier();
+    setNotifier(notifier);
+  });
+
+  afterEach(() => {
+    setNotifier(undefined);
+    mock.restoreAll();
+  });
+
+  it('respects each user\'s alert preferences and skips inactive accounts', async () => {
+    const keen = new User({ name: 'Keen', email: 'keen@example.com', password: 'x' });
+    const stockOnly = new User({ name: 'Stock', email: 'stock@example.com', password: 'x' });
+    const inactive = new User({ name: 'Gone', email: 'gone@example.com', password: 'x', isActive: false });
+    mock.method(Wishlist, 'find', () => ({
+      populate: async () => [
+        wishlistFor(keen),
+        wishlistFor(stockOnly, { notifyPriceDrop: false }),
+        wishlistFor(inactive)
+      ]
+    }));
+
+    const sent = await notifyWishlistChanges({ stock: 0, price: 10 }, book);
+
+    assert.strictEqual(sent, 3);
+    assert.deepStrictEqual(notifier.sent.map(entry => [entry.email, entry.event]), [
+      ['keen@example.com', 'backInStock'],
+      ['keen@example.com', 'priceDrop'],
+      ['stock@example.com', 'backInStock']
+    ]);
+  });
+
+  it('does not look up wishlists when nothing changed', async () => {
+    const find = mock.method(Wishlist, 'find', () => ({ populate: async () => [] }));
+
+    assert.strictEqual(await notifyWishlistChanges({ stock: 1, price: 8 }, book), 0);
+    assert.strictEqual(find.mock.callCount(), 0);
+  });
+});
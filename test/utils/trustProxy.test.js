@@ -0,0 +1,20 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseTrustProxy } = require('../../utils/trustProxy');
+
+describe('parseTrustProxy', () => {
+  it('trusts nothing by default', () => {
+    assert.strictEqual(parseTrustProxy({}), false);
+  });
+
+  it('trusts one hop on Vercel', () => {
+    assert.strictEqual(parseTrustProxy({ VERCEL: '1' }), 1);
+  });
+
+  it('parses hop counts, booleans and address lists', () => {
+    assert.strictEqual(parseTrustProxy({ TRUST_PROXY: '2' }), 2);
+    assert.strictEqual(parseTrustProxy({ TRUST_PROXY: 'true' }), true);
+    assert.strictEqual(parseTrustProxy({ TRUST_PROXY: 'false', VERCEL: '1' }), false);
+    assert.deepStrictEqual(parseTrustProxy({ TRUST_PROXY: 'loopback, 10.0.0.0/8' }), ['loopback', '10.0.0.0/8']);
+  });
+});
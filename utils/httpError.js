@@ -0,0 +1,20 @@
+// Error carrying an HTTP status so services can report failures that routes
+// translate into responses without knowing the details.
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Send an HttpError as JSON, falling back to a 500 for anything else
+const sendError = (res, error) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ message: error.message, ...error.details });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+module.exports = { HttpError, sendError };
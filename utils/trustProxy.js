@@ -0,0 +1,15 @@
+// Parse TRUST_PROXY into Express's 'trust proxy' setting. Behind a proxy
+// (Vercel, a load balancer) req.ip must come from X-Forwarded-For, or every
+// client appears to share the proxy's address. Accepts a hop count, true or
+// false, or a comma-separated list of trusted addresses or subnets. On Vercel
+// the default is one hop; elsewhere proxies are not trusted.
+const parseTrustProxy = (env = process.env) => {
+  const value = env.TRUST_PROXY !== undefined ? env.TRUST_PROXY.trim() : (env.VERCEL ? '1' : 'false');
+
+  if (value === 'true') return true;
+  if (value === 'false' || value === '') return false;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
+module.exports = { parseTrustProxy };